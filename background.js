@@ -1,5 +1,5 @@
 // Background Service Worker
-importScripts("utils/storage.js");
+importScripts("utils/media_utils.js", "utils/storage.js");
 
 // Listen for messages from Content Scripts and Popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -42,8 +42,15 @@ async function checkAndResume() {
     }
 }
 
-chrome.runtime.onStartup.addListener(() => checkAndResume());
-chrome.runtime.onInstalled.addListener(() => checkAndResume());
+chrome.runtime.onStartup.addListener(() => {
+    checkAndResume();
+    resumeScrapeQueue();
+    ensureWatchlistAlarm();
+});
+chrome.runtime.onInstalled.addListener(() => {
+    checkAndResume();
+    ensureWatchlistAlarm();
+});
 
 async function startCachePopulation(silent = false) {
     if (isPopulating) {
@@ -60,21 +67,27 @@ async function startCachePopulation(silent = false) {
         const itemsToProcess = [];
 
         for (const media of allMedia) {
-            if (!media.thumbnailUrl || media.thumbnailUrl.startsWith("data:")) continue;
+            // Cover plus every photo-mode slide
+            for (const url of MediaUtils.getThumbnailUrls(media)) {
+                const cached = await socialDB.getThumbnail(url);
+                let needsCache = !cached;
 
-            const cached = await socialDB.getThumbnail(media.thumbnailUrl);
-            let needsCache = !cached;
+                if (cached) {
+                    if (cached.error && now < cached.ttl) needsCache = false;
+                    else if (now >= cached.ttl) needsCache = false; //Ignore TTL for now
+                }
 
-            if (cached) {
-                if (cached.error && now < cached.ttl) needsCache = false;
-                else if (now >= cached.ttl) needsCache = false; //Ignore TTL for now
+                if (needsCache) itemsToProcess.push(url);
             }
+        }
 
-            if (needsCache) itemsToProcess.push(media);
+        // Creator avatars
+        for (const user of await socialDB.getAll("users")) {
+            if (user.avatarUrl && !(await socialDB.getThumbnail(user.avatarUrl))) itemsToProcess.push(user.avatarUrl);
         }
 
         const total = itemsToProcess.length;
-        console.log(`[Background] Found ${total} items needing cache update.`);
+        console.log(`[Background] Found ${total} images needing cache update.`);
 
         await setPersistedState(total > 0 ? "RUNNING" : "IDLE", 0, total);
 
@@ -113,18 +126,18 @@ async function startCachePopulation(silent = false) {
     }
 }
 
-async function processQueue(items) {
+async function processQueue(urls) {
     let processed = 0;
-    const total = items.length;
+    const total = urls.length;
 
-    for (const media of items) {
+    for (const url of urls) {
         if (!isPopulating) break;
 
         try {
-            await fetchAndCache(media.thumbnailUrl);
+            await fetchAndCache(url);
             processed++;
         } catch (e) {
-            console.warn(`[Background] Failed to cache ${media.thumbnailUrl}`, e);
+            console.warn(`[Background] Failed to cache ${url}`, e);
         }
 
         await new Promise((r) => setTimeout(r, 200)); // Throttle
@@ -173,6 +186,471 @@ async function broadcastProgress(current, total, complete = false) {
     }
 }
 
+// --- Scrape Progress ---
+
+const SCRAPE_PROGRESS_PREFIX = "scrape_progress_"; // One key per tab, concurrent tabs never write the same key
+
+function getScrapeProgressKey(tabId) {
+    return `${SCRAPE_PROGRESS_PREFIX}${tabId}`;
+}
+
+async function setScrapeProgress(tabId, progress) {
+    await new Promise((resolve) => {
+        chrome.storage.local.set({ [getScrapeProgressKey(tabId)]: { ...progress, lastUpdated: Date.now() } }, resolve);
+    });
+    updateBadge(tabId, progress);
+}
+
+function updateBadge(tabId, progress) {
+    const colors = { RUNNING: "#10B981", PAUSED: "#F59E0B", BLOCKED: "#EF4444", IDLE: "#6B7280" };
+    chrome.action.setBadgeText({ tabId, text: progress.newItems > 0 ? String(progress.newItems) : "" });
+    chrome.action.setBadgeBackgroundColor({ tabId, color: colors[progress.status] || colors.IDLE });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.local.remove(getScrapeProgressKey(tabId));
+});
+
+// --- Scrape Queue ---
+
+const SCRAPE_QUEUE_KEY = "scrape_queue_state";
+const QUEUE_ALARM = "scrape-queue";
+const QUEUE_ITEM_TIMEOUT = 60 * 60 * 1000; // 1 hour per profile
+const QUEUE_START_ACTIONS = { TikTok: "START_SCRAPE_TIKTOK", Instagram: "START_SCRAPE_INSTAGRAM", Facebook: "START_SCRAPE_FACEBOOK" };
+const QUEUE_COMMENTS_ACTION = "START_SCRAPE_COMMENTS"; // TikTok video URLs are queued for their comment thread
+const QUEUE_PROFILE_URLS = {
+    TikTok: (user) => `https://www.tiktok.com/@${user}`,
+    Instagram: (user) => `https://www.instagram.com/${user}/`,
+    Facebook: (user) => `https://www.facebook.com/${user}`,
+};
+
+let isAdvancingQueue = false;
+let queueStateWrite = Promise.resolve(); // Chains the read-modify-writes of the queue state
+
+async function getQueueState() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([SCRAPE_QUEUE_KEY], (result) => {
+            resolve(result[SCRAPE_QUEUE_KEY] || { status: "IDLE", items: [], tabId: null, delayMs: 30000, options: {}, nextRunAt: 0 });
+        });
+    });
+}
+
+async function setQueueState(state) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [SCRAPE_QUEUE_KEY]: { ...state, lastUpdated: Date.now() } }, resolve);
+    });
+}
+
+/**
+ * Applies a change to the current queue state and stores it
+ * Updates run one after another on a fresh read, so a slow caller cannot write back a stale copy.
+ * @param {Function} mutate - Changes the state in place, synchronously
+ * @returns {Promise<Object>} - The stored state
+ */
+function updateQueueState(mutate) {
+    const update = queueStateWrite.then(async () => {
+        const state = await getQueueState();
+        mutate(state);
+        await setQueueState(state);
+        return state;
+    });
+    queueStateWrite = update.catch(() => {});
+    return update;
+}
+
+/**
+ * Turns a pasted line (profile URL, @username or username) into a queue item
+ * TikTok video URLs become comment scrapes, marked by their start action.
+ * @returns {{url: string, platform: string, label: string, action?: string}|null}
+ */
+function parseQueueEntry(entry, defaultPlatform) {
+    const text = entry.trim();
+    if (!text) return null;
+
+    if (/^https?:\/\//i.test(text)) {
+        try {
+            const host = new URL(text).hostname;
+            const platform = host.includes("tiktok.com") ? "TikTok" : host.includes("instagram.com") ? "Instagram" : host.includes("facebook.com") ? "Facebook" : null;
+            if (platform === "TikTok" && MediaUtils.getTikTokVideoId(text)) {
+                return { url: text, platform, label: `Comments: ${text}`, action: QUEUE_COMMENTS_ACTION };
+            }
+            return platform ? { url: text, platform, label: text } : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    const user = text.replace(/^@/, "");
+    if (!/^[\w.-]+$/.test(user) || !QUEUE_PROFILE_URLS[defaultPlatform]) return null;
+    return { url: QUEUE_PROFILE_URLS[defaultPlatform](user), platform: defaultPlatform, label: `@${user}` };
+}
+
+async function addToQueue(entries, defaultPlatform) {
+    const invalid = [];
+    let added = 0;
+
+    await updateQueueState((state) => {
+        const pendingUrls = new Set(state.items.filter((i) => i.status === "PENDING").map((i) => i.url));
+        for (const entry of entries) {
+            const parsed = parseQueueEntry(entry, defaultPlatform);
+            if (!parsed) {
+                if (entry.trim()) invalid.push(entry.trim());
+                continue;
+            }
+            if (pendingUrls.has(parsed.url)) continue;
+
+            pendingUrls.add(parsed.url);
+            state.items.push({ id: `q_${Date.now()}_${added}`, ...parsed, status: "PENDING" });
+            added++;
+        }
+    });
+    return { added, invalid };
+}
+
+async function startQueue(delayMs) {
+    // Scrapes run with the settings last chosen in the popup
+    const settings = await new Promise((resolve) => chrome.storage.local.get(["privacySetting", "efficientScrolling", "scrapeMode", "incrementalThreshold"], resolve));
+
+    await updateQueueState((state) => {
+        state.status = "RUNNING";
+        state.delayMs = delayMs;
+        state.nextRunAt = 0;
+        state.options = {
+            privacySetting: settings.privacySetting || "HIDDEN_UNTIL_DONE",
+            efficientScrolling: settings.efficientScrolling || "Efficient",
+            scrapeMode: settings.scrapeMode || "Full",
+            incrementalThreshold: settings.incrementalThreshold,
+        };
+    });
+    processQueueNext();
+}
+
+async function stopQueue() {
+    const state = await updateQueueState((s) => {
+        s.status = "IDLE";
+    });
+    chrome.alarms.clear(QUEUE_ALARM);
+
+    // The running profile finishes as STOPPED through the normal completion path
+    if (state.tabId && state.items.some((i) => i.status === "RUNNING")) {
+        chrome.tabs.sendMessage(state.tabId, { action: "STOP_SCRAPE" }, () => void chrome.runtime.lastError);
+    }
+}
+
+/**
+ * Re-arms the queue after a browser restart, the tab of a running profile is gone by then
+ */
+async function resumeScrapeQueue() {
+    const state = await getQueueState();
+    if (state.status !== "RUNNING") return;
+
+    console.log("[Background] Resuming scrape queue.");
+    await updateQueueState((s) => {
+        s.items.forEach((i) => {
+            if (i.status === "RUNNING") i.status = "PENDING";
+        });
+        s.tabId = null;
+        s.nextRunAt = 0;
+    });
+    processQueueNext();
+}
+
+/**
+ * Starts the next pending profile unless one is running or the delay has not passed
+ */
+async function processQueueNext() {
+    if (isAdvancingQueue) return;
+    isAdvancingQueue = true;
+
+    let item = null;
+    try {
+        let waitMs = 0;
+        let finished = false;
+        const state = await updateQueueState((s) => {
+            if (s.status !== "RUNNING" || s.items.some((i) => i.status === "RUNNING")) return;
+            if (s.nextRunAt && Date.now() < s.nextRunAt) {
+                waitMs = s.nextRunAt - Date.now();
+                return;
+            }
+
+            item = s.items.find((i) => i.status === "PENDING");
+            if (!item) {
+                s.status = "IDLE";
+                finished = true;
+                return;
+            }
+            item.status = "RUNNING";
+            item.startedAt = Date.now();
+        });
+
+        if (waitMs > 0) scheduleQueue(waitMs);
+        if (finished) console.log("[Background] Scrape queue finished.");
+        if (!item) return;
+        console.log(`[Background] Queue: scraping ${item.url}`);
+
+        // Loading the page takes a while, only the tab id is written back so Stop or new items are not undone
+        const tabId = await openQueueTab(state.tabId, item.url);
+        const updated = await updateQueueState((s) => {
+            s.tabId = tabId;
+        });
+        if (updated.status !== "RUNNING") {
+            // Stopped while the page loaded
+            await completeQueueItem(item.id, "STOPPED");
+            return;
+        }
+
+        // Watchdog in case the page never reports back
+        chrome.alarms.create(QUEUE_ALARM, { when: item.startedAt + QUEUE_ITEM_TIMEOUT });
+        startQueuedScrape(tabId, item, { ...state.options, ...item.options });
+    } catch (err) {
+        console.error("[Background] Queue error:", err);
+        if (item) await completeQueueItem(item.id, "ERROR", { error: err.message });
+    } finally {
+        isAdvancingQueue = false;
+    }
+}
+
+function scheduleQueue(delayMs) {
+    setTimeout(() => processQueueNext(), delayMs);
+    // Backstop in case the worker is suspended during the delay
+    chrome.alarms.create(QUEUE_ALARM, { when: Date.now() + delayMs });
+}
+
+/**
+ * Navigates the queue tab (or a new one) and resolves once the page has loaded
+ * @returns {Promise<number>} - Tab ID
+ */
+async function openQueueTab(tabId, url) {
+    let tab = null;
+    if (tabId) {
+        try {
+            tab = await chrome.tabs.update(tabId, { url });
+        } catch (_) {
+            tab = null; // Closed by the user
+        }
+    }
+    if (!tab) tab = await chrome.tabs.create({ url, active: true }); // Hidden tabs get throttled timers
+
+    await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            reject(new Error("Page load timed out"));
+        }, 60 * 1000);
+        const listener = (updatedId, changeInfo) => {
+            if (updatedId === tab.id && changeInfo.status === "complete") {
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            }
+        };
+        chrome.tabs.onUpdated.addListener(listener);
+    });
+
+    await new Promise((r) => setTimeout(r, 3000)); // Let the SPA render its first items
+    return tab.id;
+}
+
+/**
+ * Injects the manifest content scripts matching a URL, for tabs opened before an extension update
+ */
+async function injectContentScripts(tabId, url) {
+    const host = new URL(url).hostname;
+    for (const cs of chrome.runtime.getManifest().content_scripts) {
+        const matches = cs.matches.some((pattern) => host.endsWith(pattern.split("/")[2].replace("*.", "")));
+        if (!matches) continue;
+        await chrome.scripting.executeScript({ target: { tabId }, files: cs.js, world: cs.world || "ISOLATED" });
+    }
+}
+
+/**
+ * Sends the start message, the response only arrives once the scrape is over
+ */
+function startQueuedScrape(tabId, item, options, injected = false) {
+    const message = { action: item.action || QUEUE_START_ACTIONS[item.platform], ...options };
+
+    chrome.tabs.sendMessage(tabId, message, async (response) => {
+        const lastError = chrome.runtime.lastError;
+        if (lastError) {
+            if (!injected && lastError.message.includes("Receiving end does not exist")) {
+                try {
+                    await injectContentScripts(tabId, item.url);
+                    startQueuedScrape(tabId, item, options, true);
+                } catch (err) {
+                    completeQueueItem(item.id, "ERROR", { error: `Injection failed: ${err.message}` });
+                }
+                return;
+            }
+            completeQueueItem(item.id, "ERROR", { error: lastError.message });
+            return;
+        }
+
+        if (response && response.status === "already_running") {
+            completeQueueItem(item.id, "ERROR", { error: "Another scrape was running in the tab" });
+        } else {
+            // Normally SCRAPE_FINISHED got here first, this covers runs that ended before starting a session
+            completeQueueItem(item.id, "DONE");
+        }
+    });
+}
+
+/**
+ * Closes a queue item and schedules the next one after the configured delay
+ * No-op for items that are not running, the completion signals can arrive twice.
+ */
+async function completeQueueItem(itemId, status, details = {}) {
+    let item = null;
+    const state = await updateQueueState((s) => {
+        const running = s.items.find((i) => i.id === itemId);
+        if (!running || running.status !== "RUNNING") return;
+
+        item = Object.assign(running, details, { status, finishedAt: Date.now() });
+        s.nextRunAt = Date.now() + s.delayMs;
+    });
+    if (!item) return;
+    if (item.watchId) await recordWatchRun(item);
+
+    if (state.status === "RUNNING") scheduleQueue(state.delayMs);
+    else chrome.alarms.clear(QUEUE_ALARM);
+}
+
+async function onQueueScrapeFinished(tabId, session) {
+    const state = await getQueueState();
+    const item = state.items.find((i) => i.status === "RUNNING");
+    if (!item || state.tabId !== tabId) return;
+
+    const statusMap = { COMPLETED: "DONE", STOPPED: "STOPPED", ERROR: "ERROR", BLOCKED: "BLOCKED" };
+    await completeQueueItem(item.id, statusMap[session.status] || "DONE", { newItems: session.newItems, error: session.error || null });
+}
+
+async function onQueueAlarm() {
+    const state = await getQueueState();
+    if (state.status !== "RUNNING") return;
+
+    const running = state.items.find((i) => i.status === "RUNNING");
+    if (running && Date.now() - running.startedAt >= QUEUE_ITEM_TIMEOUT) {
+        console.warn(`[Background] Queue item timed out: ${running.url}`);
+        if (state.tabId) chrome.tabs.sendMessage(state.tabId, { action: "STOP_SCRAPE" }, () => void chrome.runtime.lastError);
+        await completeQueueItem(running.id, "ERROR", { error: "Timed out" });
+        return;
+    }
+    processQueueNext();
+}
+
+// --- Watchlist (scheduled re-scrapes) ---
+
+const WATCHLIST_KEY = "watchlist_state";
+const WATCHLIST_ALARM = "watchlist-check";
+const WATCHLIST_CHECK_MINUTES = 15;
+
+async function getWatchlist() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([WATCHLIST_KEY], (result) => {
+            resolve(result[WATCHLIST_KEY] || { profiles: [] });
+        });
+    });
+}
+
+async function setWatchlist(watchlist) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ [WATCHLIST_KEY]: { ...watchlist, lastUpdated: Date.now() } }, resolve);
+    });
+}
+
+function ensureWatchlistAlarm() {
+    chrome.alarms.get(WATCHLIST_ALARM, (alarm) => {
+        if (!alarm) chrome.alarms.create(WATCHLIST_ALARM, { delayInMinutes: 1, periodInMinutes: WATCHLIST_CHECK_MINUTES });
+    });
+}
+
+async function addToWatchlist(entries, defaultPlatform, intervalHours) {
+    const watchlist = await getWatchlist();
+    const known = new Set(watchlist.profiles.map((p) => p.url));
+    const invalid = [];
+    let added = 0;
+
+    for (const entry of entries) {
+        const parsed = parseQueueEntry(entry, defaultPlatform);
+        if (!parsed) {
+            if (entry.trim()) invalid.push(entry.trim());
+            continue;
+        }
+        if (known.has(parsed.url)) continue;
+
+        known.add(parsed.url);
+        // Due right away, the first run catches up with the profile
+        watchlist.profiles.push({ id: `w_${Date.now()}_${added}`, ...parsed, intervalHours, enabled: true, nextRunAt: Date.now(), lastRunAt: null });
+        added++;
+    }
+
+    await setWatchlist(watchlist);
+    return { added, invalid };
+}
+
+async function updateWatchProfile(id, changes) {
+    const watchlist = await getWatchlist();
+    const profile = watchlist.profiles.find((p) => p.id === id);
+    if (!profile) return;
+
+    Object.assign(profile, changes);
+    await setWatchlist(watchlist);
+}
+
+/**
+ * Queues every enabled profile whose schedule is due, as an incremental run that flags new items
+ */
+async function checkWatchlist() {
+    const watchlist = await getWatchlist();
+    const due = watchlist.profiles.filter((p) => p.enabled && p.nextRunAt <= Date.now());
+    if (due.length === 0) return;
+
+    // Pushed forward now so a slow queue does not enqueue the profile twice, corrected once the run finishes
+    due.forEach((profile) => {
+        profile.nextRunAt = Date.now() + profile.intervalHours * 60 * 60 * 1000;
+    });
+    console.log(`[Background] Watchlist: ${due.length} profile(s) due.`);
+    await setWatchlist(watchlist);
+
+    const state = await updateQueueState((s) => {
+        const queued = new Set(s.items.filter((i) => i.status === "PENDING" || i.status === "RUNNING").map((i) => i.watchId));
+        due.forEach((profile, i) => {
+            if (queued.has(profile.id)) return;
+            s.items.push({
+                id: `q_${Date.now()}_w${i}`,
+                url: profile.url,
+                platform: profile.platform,
+                label: profile.label,
+                action: profile.action,
+                status: "PENDING",
+                watchId: profile.id,
+                options: { scrapeMode: "Incremental", flagNew: true },
+            });
+        });
+    });
+
+    if (state.status !== "RUNNING") await startQueue(state.delayMs);
+    else processQueueNext();
+}
+
+/**
+ * Stores the outcome of a scheduled run on its watchlist profile
+ */
+async function recordWatchRun(item) {
+    const watchlist = await getWatchlist();
+    const profile = watchlist.profiles.find((p) => p.id === item.watchId);
+    if (!profile) return;
+
+    profile.lastRunAt = item.finishedAt;
+    profile.lastStatus = item.status;
+    profile.lastNewItems = item.newItems != null ? item.newItems : null;
+    profile.nextRunAt = item.finishedAt + profile.intervalHours * 60 * 60 * 1000;
+    await setWatchlist(watchlist);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === QUEUE_ALARM) onQueueAlarm();
+    else if (alarm.name === WATCHLIST_ALARM) checkWatchlist();
+});
+
 async function handleMessage(request, sender, sendResponse) {
     // Ensure DB is ready before any operation
     try {
@@ -188,8 +666,60 @@ async function handleMessage(request, sender, sendResponse) {
         console.log(`Saved to ${request.store}`);
         sendResponse({ success: true });
     } else if (request.action === "SAVE_BATCH") {
-        await socialDB.saveAll(request.store, request.data);
+        const existingIds = await socialDB.saveAll(request.store, request.data, { flagNew: request.flagNew });
         console.log(`Saved batch to ${request.store}`);
+        sendResponse({ success: true, existingIds });
+    } else if (request.action === "SAVE_PROFILE") {
+        const user = await socialDB.saveUser(request.profile);
+        // Avatar URLs are signed and expire, so they are cached while still valid
+        if (user.avatarUrl && !(await socialDB.getThumbnail(user.avatarUrl))) {
+            fetchAndCache(user.avatarUrl).catch((err) => console.warn(`[Background] Failed to cache avatar of ${user.userId}`, err));
+        }
+        sendResponse({ success: true });
+    } else if (request.action === "MARK_MISSING") {
+        const result = await socialDB.markMissing(request.platform, request.userId, request.seenIds || [], request.at);
+        console.log(`[Background] ${request.userId}: ${result.missing} posts newly missing, ${result.restored} back.`);
+        sendResponse({ success: true, ...result });
+    } else if (request.action === "SCRAPE_PROGRESS") {
+        if (sender.tab) await setScrapeProgress(sender.tab.id, request.progress);
+        sendResponse({ success: true });
+    } else if (request.action === "SCRAPE_FINISHED") {
+        if (sender.tab) await onQueueScrapeFinished(sender.tab.id, request.session);
+        sendResponse({ success: true });
+    } else if (request.action === "QUEUE_ADD") {
+        sendResponse(await addToQueue(request.entries || [], request.platform));
+    } else if (request.action === "SCRAPE_COMMENTS") {
+        // Queued like profiles so comment runs share the delay and never overlap a profile scrape
+        const result = await addToQueue(request.urls || [], "TikTok");
+        const state = await getQueueState();
+        if (state.status !== "RUNNING") await startQueue(state.delayMs);
+        else processQueueNext();
+        sendResponse({ success: true, ...result });
+    } else if (request.action === "QUEUE_START") {
+        await startQueue(request.delayMs);
+        sendResponse({ success: true });
+    } else if (request.action === "QUEUE_STOP") {
+        await stopQueue();
+        sendResponse({ success: true });
+    } else if (request.action === "QUEUE_CLEAR") {
+        // Finished items only, unless everything was asked for; the running one always stays
+        await updateQueueState((state) => {
+            state.items = state.items.filter((i) => i.status === "RUNNING" || (!request.all && i.status === "PENDING"));
+        });
+        sendResponse({ success: true });
+    } else if (request.action === "WATCHLIST_ADD") {
+        sendResponse(await addToWatchlist(request.entries || [], request.platform, request.intervalHours || 24));
+    } else if (request.action === "WATCHLIST_UPDATE") {
+        await updateWatchProfile(request.id, request.changes);
+        sendResponse({ success: true });
+    } else if (request.action === "WATCHLIST_REMOVE") {
+        const watchlist = await getWatchlist();
+        watchlist.profiles = watchlist.profiles.filter((p) => p.id !== request.id);
+        await setWatchlist(watchlist);
+        sendResponse({ success: true });
+    } else if (request.action === "WATCHLIST_RUN_NOW") {
+        await updateWatchProfile(request.id, { nextRunAt: Date.now() });
+        await checkWatchlist();
         sendResponse({ success: true });
     } else if (request.action === "OPEN_DASHBOARD") {
         openDashboard();
@@ -3,10 +3,82 @@
  * Provides common utility methods for social media scraping.
  */
 class BaseScraper {
-    constructor(platformName) {
+    /**
+     * @param {string} platformName
+     * @param {{scrapeMode?: string, incrementalThreshold?: number, flagNew?: boolean}} options - "Incremental" stops once caught up with the DB,
+     *     flagNew marks first-time items as new (scheduled runs)
+     */
+    constructor(platformName, options = {}) {
         this.platformName = platformName;
         this.scrapedItems = new Set();
         this.isScraping = false;
+        this.isPaused = false;
+        this.incremental = options.scrapeMode === "Incremental";
+        this.incrementalThreshold = parseInt(options.incrementalThreshold) || BaseScraper.DEFAULT_INCREMENTAL_THRESHOLD;
+        this.consecutiveExisting = 0; // Found items in a row that were already in the media store
+        this.flagNew = !!options.flagNew;
+
+        // Progress reported to the background (popup + badge)
+        this.savedIds = new Set();
+        this.newItemIds = new Set(); // Saved items that were not in the DB before this run
+        this.seenIds = new Set(); // Every post found on the page, saved or not (e.g. struck-out tiles), for missing-post detection
+        this.scrollIteration = 0;
+
+        this.session = null; // Run record kept in the sessions store
+        this.stopRequested = false;
+        this.lastScrollReason = null;
+        this.lastCheckpointAt = 0;
+        this.checkpointKey = null; // Key last written, the page URL can change during a run (Facebook tabs)
+        this.resumeScrollOffset = 0; // Scroll position to return to after resuming from a checkpoint
+        this.blocker = null; // Captcha, login wall or error page currently stopping the feed
+        this.blockerRetryAt = 0;
+        this.avgLoadLatency = null; // Moving average of the time from a scroll to the page growing (ms), drives the pacing
+
+        // Built-in rules until loadRules() picks up an imported rule set
+        this.rules = ScraperRules.DEFAULTS[platformName].rules;
+        this.rulesInfo = { version: ScraperRules.DEFAULTS[platformName].version, source: "default" };
+        this.selfTestDone = false;
+    }
+
+    /**
+     * Switches to the active rule set (imported or built-in), call at the start of scrape()
+     */
+    async loadRules() {
+        const set = await ScraperRules.load(this.platformName);
+        this.rules = set.rules;
+        this.rulesInfo = { version: set.version, source: set.source };
+        console.log(`[${this.platformName}] Using ${set.source} scraper rules v${set.version}`);
+    }
+
+    /**
+     * Whether the page is a single profile, where the self-test expects the rules to match
+     */
+    isProfilePage() {
+        return true;
+    }
+
+    /**
+     * Checks once per run that the extraction rules still match the page
+     * A rule matching nothing on a profile usually means the site changed its markup.
+     */
+    runRuleSelfTest() {
+        if (this.selfTestDone || !this.isProfilePage()) return;
+        this.selfTestDone = true;
+
+        const { counts, failing } = ScraperRules.selfTest(this.rules);
+        const result = { url: location.href, testedAt: Date.now(), ...this.rulesInfo, counts, failing };
+        chrome.storage.local.get([ScraperRules.SELF_TEST_KEY], (stored) => {
+            const all = stored[ScraperRules.SELF_TEST_KEY] || {};
+            all[this.platformName] = result;
+            chrome.storage.local.set({ [ScraperRules.SELF_TEST_KEY]: all });
+        });
+
+        if (failing.length > 0) {
+            console.warn(`[${this.platformName}] Rule self-test: no matches for ${failing.join(", ")}`, counts);
+            this.showNotification(`Scraper rules matched nothing for: ${failing.join(", ")}. The site may have changed, check the rules in the dashboard.`, "error");
+        } else {
+            console.log(`[${this.platformName}] Rule self-test passed`, counts);
+        }
     }
 
     /**
@@ -17,28 +89,195 @@ class BaseScraper {
         return new Promise((resolve) => setTimeout(resolve, ms));
     }
 
+    /**
+     * Element that scrolls the content, null when it is the window (platform specific)
+     * Feeds that scroll inside a container return it so autoScroll drives that instead.
+     * @returns {HTMLElement|null}
+     */
+    getScrollContainer() {
+        return null;
+    }
+
+    getScrollHeight() {
+        const container = this.getScrollContainer();
+        return container ? container.scrollHeight : document.body.scrollHeight;
+    }
+
+    scrollToBottom() {
+        const container = this.getScrollContainer();
+        if (container) container.scrollTo(0, container.scrollHeight);
+        else window.scrollTo(0, document.body.scrollHeight);
+    }
+
+    scrollToTop() {
+        const container = this.getScrollContainer();
+        if (container) container.scrollTo(0, 0);
+        else window.scrollTo(0, 0);
+    }
+
+    getScrollOffset() {
+        const container = this.getScrollContainer();
+        return container ? container.scrollTop : window.scrollY;
+    }
+
+    /**
+     * Scrolls a resumed run back down to where its checkpoint was taken
+     * The reloaded page only holds the first rows, so it loads its way down instead of jumping.
+     */
+    async restoreScrollOffset() {
+        const target = this.resumeScrollOffset;
+        this.resumeScrollOffset = 0;
+        if (!target) return;
+
+        console.log(`[${this.platformName}] Scrolling back to the checkpoint position (${target}px)...`);
+        for (let i = 0; i < BaseScraper.MAX_RESTORE_SCROLLS && this.isScraping && this.getScrollOffset() < target; i++) {
+            this.scrollToBottom();
+            const { loaded } = await this.waitForContent(BaseScraper.MAX_SCROLL_WAIT);
+            if (!loaded) break;
+        }
+    }
+
+    /**
+     * Nearest ancestor of an element that scrolls vertically on its own
+     * @returns {HTMLElement|null}
+     */
+    findScrollableAncestor(el) {
+        for (let node = el && el.parentElement; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+            const overflowY = getComputedStyle(node).overflowY;
+            if ((overflowY === "auto" || overflowY === "scroll") && node.scrollHeight > node.clientHeight) return node;
+        }
+        return null;
+    }
+
+    /**
+     * Randomizes a delay by +/- JITTER_RATIO so scrolls do not tick at a machine-like rate
+     * @param {number} ms
+     */
+    jitter(ms) {
+        return Math.round(ms * (1 + (Math.random() * 2 - 1) * BaseScraper.JITTER_RATIO));
+    }
+
+    /**
+     * Waits for the content a scroll triggered instead of a fixed sleep
+     * Resolves once new nodes grew the page and neither the DOM nor the network moved for a quiet period,
+     * or after maxWait when nothing loads (bottom reached or a slow response).
+     * Node swaps that keep the height (virtualized lists) do not count as loaded content.
+     * @param {number} maxWait - Upper bound in ms
+     * @returns {Promise<{loaded: boolean, elapsed: number, latency: number|null, timedOut: boolean}>} - latency is the time until the page first grew
+     */
+    waitForContent(maxWait) {
+        return new Promise((resolve) => {
+            const start = Date.now();
+            const startHeight = this.getScrollHeight();
+            const quietPeriod = this.jitter(BaseScraper.QUIET_PERIOD);
+            let loaded = false;
+            let latency = null;
+            let quietTimer = null;
+            let maxTimer = null;
+            let resourceObserver = null;
+
+            const finish = (timedOut) => {
+                clearTimeout(quietTimer);
+                clearTimeout(maxTimer);
+                mutationObserver.disconnect();
+                if (resourceObserver) resourceObserver.disconnect();
+                resolve({ loaded, elapsed: Date.now() - start, latency, timedOut });
+            };
+            const restartQuietTimer = () => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(() => finish(false), quietPeriod);
+            };
+
+            const mutationObserver = new MutationObserver((mutations) => {
+                if (!mutations.some((m) => Array.from(m.addedNodes).some((n) => n.nodeType === Node.ELEMENT_NODE))) return;
+                if (!loaded && this.getScrollHeight() <= startHeight) return;
+                if (!loaded) latency = Date.now() - start;
+                loaded = true;
+                restartQuietTimer();
+            });
+            mutationObserver.observe(document.body, { childList: true, subtree: true });
+
+            // Requests still finishing (API pages, thumbnails) keep the page from counting as idle
+            try {
+                resourceObserver = new PerformanceObserver(() => {
+                    if (loaded) restartQuietTimer();
+                });
+                resourceObserver.observe({ type: "resource" });
+            } catch (_) {
+                resourceObserver = null;
+            }
+
+            maxTimer = setTimeout(() => finish(true), maxWait);
+        });
+    }
+
+    /**
+     * Folds one observed load time into the moving average
+     */
+    recordLoadLatency(ms) {
+        this.avgLoadLatency = this.avgLoadLatency == null ? ms : Math.round(this.avgLoadLatency * 0.7 + ms * 0.3);
+    }
+
+    /**
+     * Unchanged-height scrolls needed before calling it the bottom
+     * Slow connections get more attempts, a response that takes twice the base interval doubles the threshold.
+     * @param {number} interval - Base interval passed to autoScroll
+     */
+    getStallThreshold(interval) {
+        const ratio = this.avgLoadLatency ? this.avgLoadLatency / interval : 1;
+        return Math.min(Math.max(Math.round(BaseScraper.BASE_STALL_THRESHOLD * ratio), BaseScraper.BASE_STALL_THRESHOLD), BaseScraper.MAX_STALL_THRESHOLD);
+    }
+
     /**
      * Auto-scrolls the page to load more content (Infinite Scroll)
      * @param {number} maxScrolls - Safety limit
-     * @param {number} interval - Time between scrolls
+     * @param {number} interval - Base wait per scroll; actual waits adapt to how fast content loads
      * @param {Function} checkStopCondition - Optional callback to stop early
      * @param {string|boolean} efficientScrolling - "Off", "Efficient", "Aggressive" modes or boolean
+     * @returns {Promise<{scrolls: number, reason: string}>} - reason is "BOTTOM", "STOP_CONDITION", "STOPPED", "BLOCKED" or "MAX_SCROLLS"
      */
     async autoScroll(maxScrolls = 100, interval = 1000, checkStopCondition = null, efficientScrolling = "Efficient") {
         console.log(`[${this.platformName}] Starting auto-scroll... Efficient memory: ${efficientScrolling}`);
+        this.reportProgress();
+        await this.restoreScrollOffset();
         let currentScroll = 0;
-        let lastHeight = document.body.scrollHeight;
+        let lastHeight = this.getScrollHeight();
         let noChangeCount = 0;
+        let reason = "MAX_SCROLLS";
 
         while (currentScroll < maxScrolls && this.isScraping) {
-            window.scrollTo(0, document.body.scrollHeight);
-            await this.sleep(interval);
+            // Paused runs wait here, height tracking resumes where it left off
+            await this.waitWhilePaused();
+            if (!this.isScraping) {
+                reason = "STOPPED";
+                break;
+            }
+
+            this.scrollToBottom();
+            // Fast pages move on as soon as the new tiles settle, slow ones get up to twice their usual latency
+            const maxWait = Math.min(Math.max(interval, (this.avgLoadLatency || 0) * 2), BaseScraper.MAX_SCROLL_WAIT);
+            const { loaded, latency, timedOut } = await this.waitForContent(this.jitter(maxWait));
+            // Pages that never settle run into maxWait, which is derived from the average and would ratchet it up
+            if (loaded && !timedOut) this.recordLoadLatency(latency);
+
+            // A captcha or error wall also stops the height from changing, it must not pass for the bottom
+            const blocker = this.detectBlocker();
+            if (blocker) {
+                if (!(await this.waitOutBlocker(blocker))) {
+                    reason = this.isScraping ? "BLOCKED" : "STOPPED";
+                    break;
+                }
+                lastHeight = this.getScrollHeight();
+                noChangeCount = 0;
+                continue;
+            }
 
-            let newHeight = document.body.scrollHeight;
+            let newHeight = this.getScrollHeight();
             if (newHeight === lastHeight) {
                 noChangeCount++;
-                if (noChangeCount >= 3) {
-                    console.log(`[${this.platformName}] Reached bottom or stuck.`);
+                if (noChangeCount >= this.getStallThreshold(interval)) {
+                    console.log(`[${this.platformName}] Reached bottom or stuck (${noChangeCount} stalls, avg load ${this.avgLoadLatency}ms).`);
+                    reason = "BOTTOM";
                     break;
                 }
             } else {
@@ -50,14 +289,16 @@ class BaseScraper {
                 const stopResult = await checkStopCondition();
                 if (stopResult === true) {
                     console.log(`[${this.platformName}] Stop condition met.`);
+                    reason = "STOP_CONDITION";
                     break;
                 } else if (stopResult === "RESET_HEIGHT") {
                     console.log(`[${this.platformName}] DOM heavily modified. Scrolling to top and resetting trackers.`);
-                    window.scrollTo(0, 0);
+                    this.scrollToTop();
                     await this.sleep(1000); // Let the page settle after jumping to top
-                    lastHeight = document.body.scrollHeight;
+                    lastHeight = this.getScrollHeight();
                     noChangeCount = 0;
                 }
+                this.saveCheckpoint();
             }
 
             if (efficientScrolling === true || efficientScrolling === "Efficient") {
@@ -65,8 +306,94 @@ class BaseScraper {
             }
 
             currentScroll++;
+            this.scrollIteration++;
+            this.reportProgress();
+            if (currentScroll === 1) this.runRuleSelfTest(); // First batch of tiles has rendered by now
+        }
+        if (!this.isScraping && reason === "MAX_SCROLLS") reason = "STOPPED";
+
+        console.log(`[${this.platformName}] Scroll finished (${reason}).`);
+        this.lastScrollReason = reason;
+        return { scrolls: currentScroll, reason };
+    }
+
+    /**
+     * Rules describing pages that block scraping, from the "blockers" entry of the rule set
+     * Each rule has a type and a url pattern, or a selector with an optional (case-insensitive) text pattern for the element.
+     * @returns {Array<{type: string, url?: string, selector?: string, text?: string}>}
+     */
+    getBlockerRules() {
+        return this.rules.blockers || [];
+    }
+
+    /**
+     * Looks for a captcha, login wall, rate limit or error state on the page
+     * @returns {{type: string, message: string}|null}
+     */
+    detectBlocker() {
+        for (const rule of this.getBlockerRules()) {
+            let matched = false;
+            if (rule.url) {
+                matched = new RegExp(rule.url).test(location.pathname);
+            } else {
+                // Only visible elements count, platforms keep some dialogs mounted but hidden
+                matched = Array.from(document.querySelectorAll(rule.selector)).some((el) => el.getClientRects().length > 0 && (!rule.text || new RegExp(rule.text, "i").test(el.textContent)));
+            }
+            if (matched) return { type: rule.type, message: BaseScraper.BLOCKER_MESSAGES[rule.type] || rule.type };
+        }
+        return null;
+    }
+
+    /**
+     * Pauses the run while the page is blocked, retrying with exponential backoff
+     * The user can solve a captcha and press Resume to retry right away.
+     * @returns {Promise<boolean>} - true once the blocker is gone, false when retries ran out or the run was stopped
+     */
+    async waitOutBlocker(blocker) {
+        for (let attempt = 0; attempt < BaseScraper.BLOCKER_MAX_RETRIES; attempt++) {
+            const delay = Math.min(BaseScraper.BLOCKER_BASE_DELAY * 2 ** attempt, BaseScraper.BLOCKER_MAX_DELAY);
+            console.warn(`[${this.platformName}] Blocked (${blocker.type}), retry ${attempt + 1}/${BaseScraper.BLOCKER_MAX_RETRIES} in ${delay / 1000}s`);
+
+            this.blocker = blocker;
+            this.blockerRetryAt = Date.now() + delay;
+            this.isPaused = true;
+            this.updatePrivacyOverlayState("BLOCKED");
+            this.reportProgress();
+            this.showNotification(`${blocker.message}. Scrape paused, retrying in ${Math.round(delay / 1000)}s.`, "error");
+
+            while (this.isPaused && this.isScraping && Date.now() < this.blockerRetryAt) {
+                await this.sleep(500);
+            }
+            if (!this.isScraping) return false;
+
+            this.isPaused = false;
+            const current = this.detectBlocker();
+            if (!current) {
+                console.log(`[${this.platformName}] Block cleared, continuing.`);
+                this.blocker = null;
+                this.updatePrivacyOverlayState("RUNNING");
+                this.reportProgress();
+                this.showNotification("Page unblocked, scrape continues", "info");
+                return true;
+            }
+            blocker = current;
+        }
+
+        console.warn(`[${this.platformName}] Still blocked after ${BaseScraper.BLOCKER_MAX_RETRIES} retries, ending the run.`);
+        this.reportProgress();
+        return false;
+    }
+
+    /**
+     * Final toast of a run, says so when the run ended on a blocker
+     * @param {string} label - Platform name shown to the user
+     */
+    notifyFinished(label) {
+        if (this.lastScrollReason === "BLOCKED" && this.blocker) {
+            this.showNotification(`${label} scrape ended early: ${this.blocker.message}`, "error");
+        } else {
+            this.showNotification(`${label} Scrape Complete!`, "success");
         }
-        console.log(`[${this.platformName}] Scroll finished.`);
     }
 
     /**
@@ -101,6 +428,330 @@ class BaseScraper {
         // without risking the page breaking.
     }
 
+    /**
+     * Sends media records to the background for saving
+     * Items are expected in page order so the incremental counter sees them as the user does.
+     * @param {Array} mediaItems
+     * @returns {Promise<string[]>} - Canonical IDs that were already stored
+     */
+    saveBatch(mediaItems) {
+        // Stored under the canonical platform:videoId key so every link to a post lands on one record
+        mediaItems = mediaItems.map((item) => ({ ...item, id: MediaUtils.canonicalize(this.platformName, item.originalUrl || item.id) || item.id }));
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: "SAVE_BATCH", store: "media", data: mediaItems, flagNew: this.flagNew }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    console.warn(`[${this.platformName}] Batch save failed`, chrome.runtime.lastError || response);
+                    resolve([]);
+                    return;
+                }
+
+                const existingIds = new Set(response.existingIds || []);
+                for (const item of mediaItems) {
+                    this.consecutiveExisting = existingIds.has(item.id) ? this.consecutiveExisting + 1 : 0;
+                    if (!existingIds.has(item.id)) this.newItemIds.add(item.id);
+                    this.savedIds.add(item.id);
+                }
+                this.reportProgress();
+                resolve(Array.from(existingIds));
+            });
+        });
+    }
+
+    /**
+     * Records posts found on the page under their canonical id, whether or not they get saved
+     * @param {string[]} urls - Post URLs
+     */
+    markSeen(urls) {
+        urls.forEach((url) => this.seenIds.add(MediaUtils.canonicalize(this.platformName, url) || url));
+    }
+
+    /**
+     * Sends creator profile metadata to the background for the users store
+     * @param {Object} profile - userId plus whatever the page showed (displayName, bio, counters, avatarUrl, verified)
+     * @returns {Promise<boolean>} - Whether it was stored
+     */
+    saveProfile(profile) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: "SAVE_PROFILE", profile: { ...profile, platform: this.platformName } }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    console.warn(`[${this.platformName}] Profile save failed`, chrome.runtime.lastError || response);
+                    resolve(false);
+                    return;
+                }
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Items held back because their thumbnail has not loaded yet (platform specific)
+     * @returns {number}
+     */
+    getPendingInvalidCount() {
+        return 0;
+    }
+
+    /**
+     * Sends the run counters to the background, which keeps them per tab for the popup and badge
+     */
+    reportProgress() {
+        const progress = {
+            platform: this.platformName,
+            status: this.getStatus(),
+            found: this.scrapedItems.size,
+            saved: this.savedIds.size,
+            newItems: this.newItemIds.size,
+            pendingInvalid: this.getPendingInvalidCount(),
+            scrollIteration: this.scrollIteration,
+            blocker: this.blocker ? this.blocker.message : null,
+            blockerRetryAt: this.blocker ? this.blockerRetryAt : null,
+        };
+        // Callback swallows the error when the worker is restarting
+        chrome.runtime.sendMessage({ action: "SCRAPE_PROGRESS", progress }, () => void chrome.runtime.lastError);
+    }
+
+    /**
+     * Who or what the run targets, recorded on its session (platform specific)
+     * @returns {{userId: string|null, source: string|null}}
+     */
+    getSessionTarget() {
+        return { userId: null, source: null };
+    }
+
+    /**
+     * Opens the run record in the sessions store, call once the scrape has started
+     */
+    startSession() {
+        // Resumed runs keep the session restored from their checkpoint
+        if (this.session) {
+            this.session.status = "RUNNING";
+            this.session.resumes = (this.session.resumes || 0) + 1;
+            this.saveSession();
+            return;
+        }
+
+        const startedAt = Date.now();
+        this.session = {
+            id: `${this.platformName}_${startedAt}_${Math.random().toString(36).substring(2, 7)}`,
+            platform: this.platformName,
+            url: location.href,
+            ...this.getSessionTarget(),
+            mode: this.incremental ? "Incremental" : "Full",
+            efficientScrolling: this.efficientScrolling,
+            startedAt,
+            endedAt: null,
+            status: "RUNNING",
+        };
+        this.saveSession();
+    }
+
+    /**
+     * Closes the run record with its final counters
+     * @param {Error|null} error - Error that ended the run, if any
+     */
+    finishSession(error = null) {
+        if (!this.session) return;
+
+        const endedAt = Date.now();
+        Object.assign(this.session, {
+            ...this.getSessionTarget(),
+            endedAt,
+            durationMs: endedAt - this.session.startedAt,
+            found: this.scrapedItems.size,
+            saved: this.savedIds.size,
+            newItems: this.newItemIds.size,
+            scrolls: this.scrollIteration,
+            endReason: this.lastScrollReason,
+            status: error ? "ERROR" : this.stopRequested ? "STOPPED" : this.lastScrollReason === "BLOCKED" ? "BLOCKED" : "COMPLETED",
+            blocker: this.lastScrollReason === "BLOCKED" && this.blocker ? this.blocker.type : null,
+            error: error ? String(error.message || error) : null,
+        });
+        this.saveSession();
+        this.reportMissing();
+        this.clearCheckpoint(); // Only interrupted runs are resumable
+        // Lets the background queue move on to the next profile
+        chrome.runtime.sendMessage({ action: "SCRAPE_FINISHED", session: { ...this.session } }, () => void chrome.runtime.lastError);
+    }
+
+    saveSession() {
+        chrome.runtime.sendMessage({ action: "SAVE_DATA", store: "sessions", data: { ...this.session } }, () => void chrome.runtime.lastError);
+    }
+
+    /**
+     * Has the background flag the stored posts of the profile that this run did not see
+     * Only full runs that reached the bottom of a profile have seen every post. Posts found but never saved
+     * (thumbnail not loaded, tile dropped by Aggressive cleanup) count as seen.
+     */
+    reportMissing() {
+        const { userId } = this.getSessionTarget();
+        if (this.incremental || !userId || !this.isProfilePage()) return;
+        if (this.session.status !== "COMPLETED" || this.lastScrollReason !== "BOTTOM" || this.savedIds.size === 0) return;
+
+        const seenIds = new Set([...this.seenIds, ...this.savedIds]);
+        chrome.runtime.sendMessage({ action: "MARK_MISSING", platform: this.platformName, userId, seenIds: Array.from(seenIds), at: this.session.startedAt }, () => void chrome.runtime.lastError);
+    }
+
+    /**
+     * Platform specific state to carry over a reload (e.g. the resolved target user)
+     * @returns {Object}
+     */
+    getCheckpointState() {
+        return {};
+    }
+
+    restoreCheckpointState(state) {}
+
+    /**
+     * Persists what a reload would lose so the run can be resumed
+     * Throttled, called from the autoScroll loop.
+     * @param {boolean} force - Skip the throttle
+     */
+    saveCheckpoint(force = false) {
+        if (!this.isScraping || !this.session) return;
+        if (!force && Date.now() - this.lastCheckpointAt < BaseScraper.CHECKPOINT_INTERVAL) return;
+        this.lastCheckpointAt = Date.now();
+
+        const key = BaseScraper.getCheckpointKey(this.platformName, location.href);
+        if (this.checkpointKey && this.checkpointKey !== key) chrome.storage.local.remove(this.checkpointKey);
+        this.checkpointKey = key;
+
+        const checkpoint = {
+            url: location.href,
+            updatedAt: Date.now(),
+            options: {
+                privacySetting: this.privacySetting,
+                efficientScrolling: this.efficientScrolling,
+                scrapeMode: this.incremental ? "Incremental" : "Full",
+                incrementalThreshold: this.incrementalThreshold,
+                flagNew: this.flagNew,
+            },
+            session: this.session,
+            scrapedItems: Array.from(this.scrapedItems),
+            savedIds: Array.from(this.savedIds),
+            newItemIds: Array.from(this.newItemIds),
+            seenIds: Array.from(this.seenIds),
+            scrollIteration: this.scrollIteration,
+            scrollOffset: this.getScrollOffset(),
+            state: this.getCheckpointState(),
+        };
+        chrome.storage.local.set({ [key]: checkpoint });
+    }
+
+    /**
+     * Loads a checkpoint into this scraper before scrape() is called
+     * Items listed as scraped are skipped, so the resumed run only saves what the crash lost.
+     */
+    restoreCheckpoint(checkpoint) {
+        this.session = checkpoint.session;
+        this.scrapedItems = new Set(checkpoint.scrapedItems);
+        this.savedIds = new Set(checkpoint.savedIds);
+        this.newItemIds = new Set(checkpoint.newItemIds);
+        this.seenIds = new Set(checkpoint.seenIds || []);
+        this.scrollIteration = checkpoint.scrollIteration || 0;
+        this.resumeScrollOffset = checkpoint.scrollOffset || 0;
+        this.restoreCheckpointState(checkpoint.state || {});
+    }
+
+    clearCheckpoint() {
+        chrome.storage.local.remove(this.checkpointKey || BaseScraper.getCheckpointKey(this.platformName, location.href));
+    }
+
+    /**
+     * One checkpoint per page, so tabs scraping different profiles of a platform keep their own
+     * @param {string} platformName
+     * @param {string} url - Page the run is on, the fragment is ignored
+     */
+    static getCheckpointKey(platformName, url) {
+        return `scrape_checkpoint_${platformName}_${url.split("#")[0]}`;
+    }
+
+    /**
+     * Offers to resume a run that was interrupted on this page (crash or reload)
+     * @param {string} platformName
+     * @param {Function} createScraper - (options) => scraper instance
+     */
+    static offerResume(platformName, createScraper) {
+        const key = BaseScraper.getCheckpointKey(platformName, location.href);
+        chrome.storage.local.get([key], (result) => {
+            const checkpoint = result[key];
+            if (!checkpoint) return;
+
+            if (Date.now() - checkpoint.updatedAt > BaseScraper.CHECKPOINT_MAX_AGE) {
+                chrome.storage.local.remove(key);
+                return;
+            }
+
+            BaseScraper.showResumePrompt(
+                `An interrupted ${platformName} scrape was found (${checkpoint.savedIds.length} items saved).`,
+                () => {
+                    if (BaseScraper.current && BaseScraper.current.isScraping) return;
+                    const scraper = createScraper(checkpoint.options);
+                    scraper.restoreCheckpoint(checkpoint);
+                    BaseScraper.current = scraper;
+                    console.log(`[${platformName}] Resuming scrape from checkpoint`, checkpoint.updatedAt);
+                    scraper.scrape();
+                },
+                () => chrome.storage.local.remove(key),
+            );
+        });
+    }
+
+    /**
+     * Persistent banner with Resume / Discard buttons
+     */
+    static showResumePrompt(message, onResume, onDiscard) {
+        const id = "social-scraper-resume-prompt";
+        if (document.getElementById(id)) return;
+
+        const prompt = document.createElement("div");
+        prompt.id = id;
+        Object.assign(prompt.style, {
+            position: "fixed",
+            bottom: "20px",
+            right: "20px",
+            zIndex: "999999",
+            backgroundColor: "#1F2937",
+            color: "#F9FAFB",
+            padding: "16px 20px",
+            borderRadius: "8px",
+            borderLeft: "4px solid #3B82F6",
+            boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)",
+            fontFamily: "'Inter', system-ui, -apple-system, sans-serif",
+            fontSize: "14px",
+            maxWidth: "320px",
+        });
+
+        const text = document.createElement("div");
+        text.textContent = message;
+        text.style.marginBottom = "12px";
+        prompt.appendChild(text);
+
+        const addButton = (label, background, onClick) => {
+            const btn = document.createElement("button");
+            btn.textContent = label;
+            Object.assign(btn.style, { background, color: "#fff", border: "none", padding: "6px 16px", borderRadius: "6px", cursor: "pointer", marginRight: "8px" });
+            btn.addEventListener("click", () => {
+                prompt.remove();
+                onClick();
+            });
+            prompt.appendChild(btn);
+        };
+        addButton("Resume", "#3B82F6", onResume);
+        addButton("Discard", "#4B5563", onDiscard);
+
+        document.body.appendChild(prompt);
+    }
+
+    /**
+     * Incremental mode stop condition: enough consecutive items were already stored
+     * @returns {boolean}
+     */
+    isCaughtUp() {
+        if (!this.incremental || this.consecutiveExisting < this.incrementalThreshold) return false;
+        console.log(`[${this.platformName}] Caught up: ${this.consecutiveExisting} consecutive items already saved.`);
+        return true;
+    }
+
     /**
      * Abstract method to be implemented by child classes
      */
@@ -142,8 +793,125 @@ class BaseScraper {
         });
     }
 
+    /**
+     * Helper to find best thumbnail from an anchor element
+     * Adapted from user provided logic
+     */
+    getThumbnailFromAnchor(a) {
+        if (!a.querySelector) return null; // Safety check
+        const selectors = this.rules.thumbnail;
+        const picture = a.querySelector(selectors.picture);
+        const source = picture ? picture.querySelector(selectors.source) : a.querySelector(selectors.source);
+        const img = a.querySelector(selectors.img) || (picture && picture.querySelector(selectors.img));
+
+        let rawSrc = null;
+        let srcset = null;
+
+        // Prefer <source> type attribute if present
+        if (source) {
+            rawSrc = source.getAttribute("src") || source.getAttribute("srcset") || null;
+            srcset = source.getAttribute("srcset") || null;
+        }
+
+        // Fallback to <img>
+        if (!rawSrc && img) {
+            rawSrc = selectors.imgAttributes.map((attr) => img.getAttribute(attr)).find(Boolean) || null;
+            srcset = img.getAttribute("srcset") || null;
+        }
+
+        if (!rawSrc && !srcset) return null;
+
+        // If srcset exists, pick the highest density candidate
+        if (srcset) {
+            try {
+                const candidates = srcset
+                    .split(",")
+                    .map((s) => s.trim())
+                    .map((part) => {
+                        const [url, descriptor] = part.split(/\s+/);
+                        const value = descriptor ? parseFloat(descriptor) : 1;
+                        return { url, value: isNaN(value) ? 1 : value };
+                    });
+                candidates.sort((a, b) => b.value - a.value);
+                return candidates[0].url;
+            } catch (e) {
+                return rawSrc;
+            }
+        }
+
+        return rawSrc;
+    }
+
+    /**
+     * Parses abbreviated counters ("1.2M", "12.5K", "1,024") into numbers
+     * @param {string} text
+     * @returns {number|null}
+     */
+    parseCount(text) {
+        if (!text) return null;
+        const match = String(text)
+            .replace(/,/g, "")
+            .trim()
+            .match(/^(\d+(?:\.\d+)?)\s*([KMB])?/i);
+        if (!match) return null;
+
+        const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+        const value = parseFloat(match[1]) * (match[2] ? multipliers[match[2].toUpperCase()] : 1);
+        return isNaN(value) ? null : Math.round(value);
+    }
+
     stop() {
         this.isScraping = false;
+        this.isPaused = false;
+        this.reportProgress();
+    }
+
+    /**
+     * Stops a run from the outside (popup or overlay)
+     * The scrape loop exits at its next check and runs its normal completion path.
+     */
+    requestStop() {
+        if (!this.isScraping) return;
+        console.log(`[${this.platformName}] Stop requested.`);
+        this.showNotification("Stopping scrape...", "info");
+        this.stopRequested = true;
+        this.stop();
+    }
+
+    pause() {
+        if (!this.isScraping || this.isPaused) return;
+        this.isPaused = true;
+        console.log(`[${this.platformName}] Scrape paused.`);
+        this.updatePrivacyOverlayState("PAUSED");
+        this.reportProgress();
+        this.showNotification("Scrape paused", "info");
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        console.log(`[${this.platformName}] Scrape resumed.`);
+        this.updatePrivacyOverlayState("RUNNING");
+        this.reportProgress();
+        this.showNotification("Scrape resumed", "info");
+    }
+
+    /**
+     * Resolves once the scrape is resumed or stopped
+     */
+    async waitWhilePaused() {
+        while (this.isPaused && this.isScraping) {
+            await this.sleep(500);
+        }
+    }
+
+    /**
+     * @returns {string} - "RUNNING", "PAUSED", "BLOCKED" or "IDLE"
+     */
+    getStatus() {
+        if (!this.isScraping) return "IDLE";
+        if (this.isPaused) return this.blocker ? "BLOCKED" : "PAUSED";
+        return "RUNNING";
     }
 
     /**
@@ -261,6 +1029,13 @@ class BaseScraper {
                     </label>
                 </div>
 
+                <div id="privacy-blocked-note" style="display: none; margin-top: 24px; color: #FCA5A5; font-size: 14px; max-width: 360px;"></div>
+
+                <div id="privacy-controls" style="display: flex; gap: 12px; justify-content: center; margin-top: 24px;">
+                    <button id="privacy-pause-btn" style="background: rgba(255,255,255,0.15); color: #fff; border: 1px solid rgba(255,255,255,0.3); padding: 8px 20px; border-radius: 8px; cursor: pointer;">Pause</button>
+                    <button id="privacy-stop-btn" style="background: #EF4444; color: #fff; border: none; padding: 8px 20px; border-radius: 8px; cursor: pointer;">Stop</button>
+                </div>
+
                 <button id="privacy-dismiss-btn" style="
                     display: none; 
                     margin-top: 24px; 
@@ -313,6 +1088,18 @@ class BaseScraper {
                 overlay.remove();
             });
         }
+
+        // Controls act on whichever scraper is running, the overlay can outlive the one that created it
+        overlay.querySelector("#privacy-pause-btn").onclick = () => {
+            const scraper = BaseScraper.current;
+            if (!scraper) return;
+            if (scraper.isPaused) scraper.resume();
+            else scraper.pause();
+        };
+        overlay.querySelector("#privacy-stop-btn").onclick = () => {
+            if (BaseScraper.current) BaseScraper.current.requestStop();
+        };
+        this.updatePrivacyOverlayState(this.getStatus());
     }
 
     /**
@@ -326,5 +1113,62 @@ class BaseScraper {
                 dismissBtn.style.display = "block";
             }
         }
+
+        const controls = document.getElementById("privacy-controls");
+        if (controls) {
+            controls.style.display = state === "RUNNING" || state === "PAUSED" || state === "BLOCKED" ? "flex" : "none";
+            document.getElementById("privacy-pause-btn").textContent = state === "BLOCKED" ? "Retry Now" : state === "PAUSED" ? "Resume" : "Pause";
+        }
+
+        // Blocked runs may need the user to solve a captcha, Peek makes the page clickable
+        const blockedNote = document.getElementById("privacy-blocked-note");
+        if (blockedNote) {
+            blockedNote.style.display = state === "BLOCKED" ? "block" : "none";
+            if (state === "BLOCKED" && this.blocker) blockedNote.textContent = `${this.blocker.message}. Use Peek to solve it on the page, then press Retry Now.`;
+        }
     }
 }
+
+// Consecutive already-saved items after which an incremental scrape stops
+BaseScraper.DEFAULT_INCREMENTAL_THRESHOLD = 20;
+
+BaseScraper.CHECKPOINT_INTERVAL = 10 * 1000; // 10 seconds
+BaseScraper.CHECKPOINT_MAX_AGE = 24 * 60 * 60 * 1000; // Older checkpoints are not offered for resume
+BaseScraper.MAX_RESTORE_SCROLLS = 200; // Upper bound on the loads needed to get back to a checkpoint position
+
+// Adaptive scroll pacing
+BaseScraper.QUIET_PERIOD = 400; // No DOM or network activity for this long means the new content settled
+BaseScraper.MAX_SCROLL_WAIT = 15 * 1000;
+BaseScraper.JITTER_RATIO = 0.2;
+BaseScraper.BASE_STALL_THRESHOLD = 3;
+BaseScraper.MAX_STALL_THRESHOLD = 8;
+
+// Blocker detection, the rules themselves are in scraper_rules.js
+BaseScraper.BLOCKER_MESSAGES = {
+    CAPTCHA: "Captcha check shown",
+    LOGIN_WALL: "Login required",
+    RATE_LIMIT: "Too many requests",
+    ERROR_STATE: "Page failed to load",
+};
+BaseScraper.BLOCKER_BASE_DELAY = 30 * 1000; // Doubles on every retry
+BaseScraper.BLOCKER_MAX_DELAY = 10 * 60 * 1000;
+BaseScraper.BLOCKER_MAX_RETRIES = 5;
+
+// Scraper of the run in progress on this page, target of the pause/resume/stop controls
+BaseScraper.current = null;
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    const scraper = BaseScraper.current;
+
+    if (request.action === "PAUSE_SCRAPE") {
+        if (scraper) scraper.pause();
+    } else if (request.action === "RESUME_SCRAPE") {
+        if (scraper) scraper.resume();
+    } else if (request.action === "STOP_SCRAPE") {
+        if (scraper) scraper.requestStop();
+    } else if (request.action !== "GET_SCRAPE_STATUS") {
+        return; // Not a control message
+    }
+
+    sendResponse({ status: scraper ? scraper.getStatus() : "IDLE" });
+});
@@ -0,0 +1,247 @@
+/**
+ * Facebook Page/Profile Video Scraper
+ * Walks the Videos and Reels tabs of a page or profile and saves every video permalink.
+ */
+class FacebookScraper extends BaseScraper {
+    constructor(privacySetting = "HIDDEN_UNTIL_DONE", efficientScrolling = "Efficient", options = {}) {
+        super("Facebook", options);
+        this.privacySetting = privacySetting;
+        // Aggressive DOM pruning is TikTok specific, Facebook only gets the media buffer cleanup
+        this.efficientScrolling = efficientScrolling === "Aggressive" ? "Efficient" : efficientScrolling;
+        this.owner = null;
+    }
+
+    /**
+     * Resolves the page/profile owner from a URL
+     * Vanity pages use the first path segment, numeric profiles use profile.php?id=
+     * @param {string} url
+     * @returns {{id: string, baseUrl: string}|null}
+     */
+    getOwnerFromUrl(url) {
+        try {
+            const parsed = new URL(url, location.origin);
+            if (parsed.pathname.startsWith("/profile.php")) {
+                const id = parsed.searchParams.get("id");
+                return id ? { id, baseUrl: `https://www.facebook.com/profile.php?id=${id}` } : null;
+            }
+
+            const segments = parsed.pathname.split("/").filter(Boolean);
+            if (segments.length === 0 || FacebookScraper.RESERVED_PATHS.includes(segments[0])) return null;
+            return { id: segments[0], baseUrl: `https://www.facebook.com/${segments[0]}` };
+        } catch (e) {
+            console.error("Error extracting owner:", e);
+            return null;
+        }
+    }
+
+    /**
+     * Builds the Videos and Reels tab URLs for the current owner
+     */
+    getTabUrls() {
+        if (this.owner.baseUrl.includes("profile.php")) {
+            return [`${this.owner.baseUrl}&sk=videos`, `${this.owner.baseUrl}&sk=reels_tab`];
+        }
+        return [`${this.owner.baseUrl}/videos`, `${this.owner.baseUrl}/reels`];
+    }
+
+    /**
+     * Parses a video or reel link into a stable permalink
+     * Handles /watch/?v=<id>, /<page>/videos/[slug/]<id> and /reel/<id>
+     * @param {string} href
+     * @returns {string|null}
+     */
+    getPermalink(href) {
+        let match = href.match(/facebook\.com\/reel\/(\d+)/);
+        if (match) return `https://www.facebook.com/reel/${match[1]}/`;
+
+        match = href.match(/facebook\.com\/watch\/?(?:live\/?)?\?(?:.*&)?v=(\d+)/) || href.match(/facebook\.com\/[^?#]*\/videos\/(?:[^/?#]+\/)?(\d+)/);
+        if (match) return `https://www.facebook.com/watch/?v=${match[1]}`;
+
+        return null;
+    }
+
+    /**
+     * Page or profile named in a /<page>/videos/ link, null for /watch and /reel links which carry none
+     * @param {string} href
+     * @returns {string|null}
+     */
+    getLinkOwner(href) {
+        const match = href.match(/facebook\.com\/([^/?#]+)\/videos\//);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Compares two Facebook URLs ignoring scheme, subdomain (www/m/web), fragment and trailing slash
+     */
+    isSameUrl(a, b) {
+        const normalize = (url) =>
+            url
+                .split("#")[0]
+                .replace(/^https?:\/\/(www\.|m\.|web\.)?/, "")
+                .replace(/\/$/, "");
+        return normalize(a) === normalize(b);
+    }
+
+    /**
+     * Switches to a tab through its in-page link so the SPA keeps this content script alive
+     * @param {string} tabUrl
+     * @returns {Promise<boolean>} - Whether the tab is now displayed
+     */
+    async openTab(tabUrl) {
+        if (this.isSameUrl(location.href, tabUrl)) return true;
+
+        const link = Array.from(document.querySelectorAll("a[href]")).find((a) => this.isSameUrl(a.href, tabUrl));
+        if (!link) return false;
+
+        link.click();
+        for (let i = 0; i < 20; i++) {
+            await this.sleep(500);
+            if (this.isSameUrl(location.href, tabUrl)) {
+                await this.sleep(2000); // Let the first grid rows render
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getSessionTarget() {
+        return { userId: this.owner ? this.owner.id : null, source: null };
+    }
+
+    /**
+     * Main scrape execution context
+     */
+    async scrape() {
+        if (this.isScraping) return;
+
+        this.owner = this.getOwnerFromUrl(location.href);
+        if (!this.owner) {
+            this.showNotification("Open a Facebook page or profile to scrape it.", "error");
+            return;
+        }
+
+        this.isScraping = true;
+        await this.loadRules();
+        this.setPrivacyOverlay(this.privacySetting);
+
+        this.showNotification("Starting Facebook Scrape...", "info");
+        console.log(`Starting Facebook Scrape for ${this.owner.id}...`);
+        this.startSession();
+
+        let scrapeError = null;
+        try {
+            for (const tabUrl of this.getTabUrls()) {
+                await this.waitWhilePaused();
+                if (!this.isScraping) break;
+
+                const opened = await this.openTab(tabUrl);
+                if (!opened) {
+                    console.log(`[Facebook] Tab not reachable, skipping: ${tabUrl}`);
+                    continue;
+                }
+
+                console.log(`[Facebook] Scraping tab: ${tabUrl}`);
+                window.scrollTo(0, 0);
+                this.consecutiveExisting = 0; // Each tab has its own newest-first order
+
+                await this.autoScroll(
+                    200,
+                    2000,
+                    async () => {
+                        await this.extractAndSave();
+                        return this.isCaughtUp(); // Keep scrolling unless incremental mode reached saved videos
+                    },
+                    this.efficientScrolling,
+                );
+
+                await this.extractAndSave(true);
+                if (this.lastScrollReason === "BLOCKED") break; // The other tabs would hit the same wall
+            }
+        } catch (err) {
+            scrapeError = err;
+            console.error("Scrape error:", err);
+            this.showNotification("Scrape error occurred", "error");
+        } finally {
+            this.stop();
+            this.finishSession(scrapeError);
+
+            if (this.privacySetting === "HIDDEN_UNTIL_DONE") {
+                this.setPrivacyOverlay("OFF");
+            } else if (this.privacySetting === "ALWAYS_HIDDEN") {
+                this.updatePrivacyOverlayState("DONE");
+            }
+
+            this.notifyFinished("Facebook");
+            console.log("Facebook Scrape Complete.");
+        }
+    }
+
+    /**
+     * Extraction Logic
+     * @param {boolean} finalPass - Save videos even if their thumbnail has not loaded yet
+     */
+    async extractAndSave(finalPass = false) {
+        const found = new Map();
+        // The profile's own grid, suggested videos in the sidebar belong to other pages
+        const root = document.querySelector(FacebookScraper.MAIN_SELECTOR) || document;
+
+        // Video links come from the rule set so an imported rule can follow markup changes
+        root.querySelectorAll(this.rules.postLink).forEach((a) => {
+            const permalink = this.getPermalink(a.href);
+            if (!permalink) return;
+            const linkOwner = this.getLinkOwner(a.href);
+            if (linkOwner && linkOwner.toLowerCase() !== this.owner.id.toLowerCase()) return;
+            this.markSeen([permalink]);
+
+            // The same video is often linked twice (thumbnail + title), keep the one with an image
+            const thumbnailUrl = this.getThumbnailFromAnchor(a);
+            const existing = found.get(permalink);
+            if (existing && existing.thumbnailUrl) return;
+            if (!thumbnailUrl && !finalPass) return;
+
+            found.set(permalink, { id: permalink, thumbnailUrl });
+        });
+
+        const newItems = this.filterNewItems(Array.from(found.values()));
+        if (newItems.length === 0) return;
+
+        const msg = `Found ${newItems.length} new items for ${this.owner.id}`;
+        console.log(msg);
+        this.showNotification(msg, "success");
+
+        const mediaItems = newItems.map((item) => ({
+            id: item.id,
+            userId: this.owner.id,
+            platform: "Facebook",
+            originalUrl: item.id,
+            thumbnailUrl: item.thumbnailUrl,
+            scrapedAt: Date.now(),
+            downloadStatus: "PENDING",
+        }));
+
+        await this.saveBatch(mediaItems);
+    }
+}
+
+// Main column of a page, holds the Videos and Reels grids
+FacebookScraper.MAIN_SELECTOR = '[role="main"]';
+
+// First path segments that are Facebook sections rather than pages/profiles
+FacebookScraper.RESERVED_PATHS = ["watch", "reel", "reels", "groups", "events", "marketplace", "gaming", "stories", "photo", "photo.php", "story.php", "permalink.php", "search", "settings", "help"];
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "START_SCRAPE_FACEBOOK") {
+        console.log("Received START_SCRAPE_FACEBOOK", request);
+        if (BaseScraper.current && BaseScraper.current.isScraping) {
+            sendResponse({ status: "already_running" });
+            return;
+        }
+        const scraper = new FacebookScraper(request.privacySetting, request.efficientScrolling, request);
+        BaseScraper.current = scraper;
+        scraper.scrape().then(() => sendResponse({ status: "done" }));
+        return true; // async response
+    }
+});
+
+// Offer to continue a run interrupted by a crash or reload of this page
+BaseScraper.offerResume("Facebook", (options) => new FacebookScraper(options.privacySetting, options.efficientScrolling, options));
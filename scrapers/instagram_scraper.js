@@ -0,0 +1,158 @@
+/**
+ * Instagram Profile Scraper
+ * Scrolls a profile grid (Posts / Reels) and saves every post link with its thumbnail.
+ */
+class InstagramScraper extends BaseScraper {
+    constructor(privacySetting = "HIDDEN_UNTIL_DONE", efficientScrolling = "Efficient", options = {}) {
+        super("Instagram", options);
+        this.privacySetting = privacySetting;
+        // Aggressive DOM pruning is TikTok specific, Instagram only gets the media buffer cleanup
+        this.efficientScrolling = efficientScrolling === "Aggressive" ? "Efficient" : efficientScrolling;
+        this.profileUser = null;
+    }
+
+    /**
+     * Extracts the profile username from a URL
+     * Returns an empty string for non-profile pages (posts, explore, stories...)
+     * @param {string} url
+     */
+    getUsernameFromUrl(url) {
+        try {
+            const segments = new URL(url, location.origin).pathname.split("/").filter(Boolean);
+            if (segments.length === 0 || InstagramScraper.RESERVED_PATHS.includes(segments[0])) return "";
+            return segments[0];
+        } catch (e) {
+            console.error("Error extracting username:", e);
+            return "";
+        }
+    }
+
+    /**
+     * Parses a post or reel link into a stable URL
+     * Handles both "/p/<code>/" and the newer "/<user>/p/<code>/" grid links
+     * @param {string} href
+     * @returns {string|null} - Canonical post URL or null if not a post link
+     */
+    getPostUrl(href) {
+        const match = href.match(/instagram\.com\/(?:[^/?#]+\/)?(p|reel|tv)\/([\w-]+)/);
+        if (!match) return null;
+        return `https://www.instagram.com/${match[1]}/${match[2]}/`;
+    }
+
+    getSessionTarget() {
+        return { userId: this.profileUser, source: null };
+    }
+
+    /**
+     * Main scrape execution context
+     */
+    async scrape() {
+        if (this.isScraping) return;
+
+        this.profileUser = this.getUsernameFromUrl(location.href);
+        if (!this.profileUser) {
+            this.showNotification("Open an Instagram profile to scrape it.", "error");
+            return;
+        }
+
+        this.isScraping = true;
+        await this.loadRules();
+        this.setPrivacyOverlay(this.privacySetting);
+
+        this.showNotification("Starting Instagram Scrape...", "info");
+        console.log(`Starting Instagram Scrape for ${this.profileUser}...`);
+        this.startSession();
+
+        let scrapeError = null;
+        try {
+            await this.autoScroll(
+                200,
+                2000,
+                async () => {
+                    await this.extractAndSave();
+                    return this.isCaughtUp(); // Keep scrolling unless incremental mode reached saved posts
+                },
+                this.efficientScrolling,
+            );
+
+            // Final pass - also keep posts whose thumbnail never loaded
+            await this.extractAndSave(true);
+        } catch (err) {
+            scrapeError = err;
+            console.error("Scrape error:", err);
+            this.showNotification("Scrape error occurred", "error");
+        } finally {
+            this.stop();
+            this.finishSession(scrapeError);
+
+            if (this.privacySetting === "HIDDEN_UNTIL_DONE") {
+                this.setPrivacyOverlay("OFF");
+            } else if (this.privacySetting === "ALWAYS_HIDDEN") {
+                this.updatePrivacyOverlayState("DONE");
+            }
+
+            this.notifyFinished("Instagram");
+            console.log("Instagram Scrape Complete.");
+        }
+    }
+
+    /**
+     * Extraction Logic
+     * @param {boolean} finalPass - Save posts even if their thumbnail has not loaded yet
+     */
+    async extractAndSave(finalPass = false) {
+        const found = new Map();
+
+        // Post links come from the rule set so an imported rule can follow markup changes
+        document.querySelectorAll(this.rules.postLink).forEach((a) => {
+            const postUrl = this.getPostUrl(a.href);
+            if (!postUrl || found.has(postUrl)) return;
+            this.markSeen([postUrl]);
+
+            const thumbnailUrl = this.getThumbnailFromAnchor(a);
+            // Lazy grid rows render the anchor before the image, wait for a later pass
+            if (!thumbnailUrl && !finalPass) return;
+
+            found.set(postUrl, { id: postUrl, thumbnailUrl });
+        });
+
+        const newItems = this.filterNewItems(Array.from(found.values()));
+        if (newItems.length === 0) return;
+
+        const msg = `Found ${newItems.length} new items for ${this.profileUser}`;
+        console.log(msg);
+        this.showNotification(msg, "success");
+
+        const mediaItems = newItems.map((item) => ({
+            id: item.id,
+            userId: this.profileUser,
+            platform: "Instagram",
+            originalUrl: item.id,
+            thumbnailUrl: item.thumbnailUrl,
+            scrapedAt: Date.now(),
+            downloadStatus: "PENDING",
+        }));
+
+        await this.saveBatch(mediaItems);
+    }
+}
+
+// First path segments that are Instagram sections rather than usernames
+InstagramScraper.RESERVED_PATHS = ["p", "reel", "reels", "tv", "explore", "stories", "direct", "accounts", "about", "legal"];
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "START_SCRAPE_INSTAGRAM") {
+        console.log("Received START_SCRAPE_INSTAGRAM", request);
+        if (BaseScraper.current && BaseScraper.current.isScraping) {
+            sendResponse({ status: "already_running" });
+            return;
+        }
+        const scraper = new InstagramScraper(request.privacySetting, request.efficientScrolling, request);
+        BaseScraper.current = scraper;
+        scraper.scrape().then(() => sendResponse({ status: "done" }));
+        return true; // async response
+    }
+});
+
+// Offer to continue a run interrupted by a crash or reload of this page
+BaseScraper.offerResume("Instagram", (options) => new InstagramScraper(options.privacySetting, options.efficientScrolling, options));
@@ -0,0 +1,270 @@
+/**
+ * Scraper Rules
+ * Versioned selectors and URL patterns the scrapers extract with, one rule set per platform.
+ * The defaults below ship with the extension; rule sets imported from the dashboard are kept
+ * in chrome.storage and replace the matching keys of the defaults (object rules key by key), so markup changes can be
+ * followed without a new release. Patterns are strings (JSON has no RegExp), compiled on use.
+ */
+class ScraperRules {
+    /**
+     * Rule set for a platform: the stored override when present and not older than the defaults
+     * @param {string} platform - "TikTok", "Instagram" or "Facebook"
+     * @returns {Promise<{version: number, source: string, rules: Object}>} - source is "default" or "imported"
+     */
+    static async load(platform) {
+        const defaults = ScraperRules.DEFAULTS[platform];
+        const overrides = await ScraperRules.getOverrides();
+        const override = overrides[platform];
+
+        if (override && override.version >= defaults.version) {
+            return { version: override.version, source: "imported", rules: ScraperRules.merge(defaults.rules, override.rules) };
+        }
+        if (override) {
+            console.warn(`[ScraperRules] Ignoring imported ${platform} rules v${override.version}, the built-in v${defaults.version} is newer.`);
+        }
+        return { version: defaults.version, source: "default", rules: defaults.rules };
+    }
+
+    /**
+     * Overlays imported rules on the defaults, object rules (thumbnail, metrics...) are merged one sub-key at a time
+     * so an import that only changes one selector keeps the others.
+     */
+    static merge(defaultRules, overrideRules) {
+        const rules = { ...defaultRules };
+        for (const [key, value] of Object.entries(overrideRules)) {
+            const defaultValue = defaultRules[key];
+            const isObjectRule = defaultValue && typeof defaultValue === "object" && !Array.isArray(defaultValue);
+            rules[key] = isObjectRule && value && typeof value === "object" ? { ...defaultValue, ...value } : value;
+        }
+        return rules;
+    }
+
+    /**
+     * @returns {Promise<Object>} - { [platform]: { version, rules } }
+     */
+    static async getOverrides() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([ScraperRules.STORAGE_KEY], (result) => resolve(result[ScraperRules.STORAGE_KEY] || {}));
+        });
+    }
+
+    /**
+     * Checks an imported rule file, { [platform]: { version, rules } }
+     * @param {Object} json
+     * @returns {string[]} - Problems found, empty when the file can be imported
+     */
+    static validate(json) {
+        const errors = [];
+        if (!json || typeof json !== "object" || Array.isArray(json)) return ["Expected an object keyed by platform"];
+
+        for (const [platform, set] of Object.entries(json)) {
+            const defaults = ScraperRules.DEFAULTS[platform];
+            if (!defaults) {
+                errors.push(`Unknown platform "${platform}"`);
+                continue;
+            }
+            if (!set || !Number.isInteger(set.version) || !set.rules || typeof set.rules !== "object") {
+                errors.push(`${platform}: needs an integer "version" and a "rules" object`);
+                continue;
+            }
+
+            for (const [key, value] of Object.entries(set.rules)) {
+                if (!(key in defaults.rules)) {
+                    errors.push(`${platform}: unknown rule "${key}"`);
+                    continue;
+                }
+                const problem = ScraperRules.checkRule(key, value, defaults.rules[key]);
+                if (problem) errors.push(`${platform}.${key}: ${problem}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Type-checks one rule against its default and compiles its selectors and patterns
+     * @returns {string|null} - Problem description
+     */
+    static checkRule(key, value, defaultValue) {
+        if (value == null) return "missing value";
+        if (Array.isArray(defaultValue) !== Array.isArray(value) || typeof value !== typeof defaultValue) return "wrong type";
+
+        const selectors = [];
+        const patterns = [];
+        if (key === "blockers") {
+            for (const rule of value) {
+                if (!rule || !rule.type || (!rule.url && !rule.selector)) return 'each blocker needs a "type" and a "url" or "selector"';
+                if (rule.selector) selectors.push(rule.selector);
+                if (rule.url) patterns.push(rule.url);
+                if (rule.text) patterns.push(rule.text);
+            }
+        } else if (key.endsWith("Pattern")) {
+            patterns.push(value);
+        } else if (typeof value === "string") {
+            selectors.push(value);
+        } else if (typeof value === "object" && !Array.isArray(value)) {
+            // Sub-keys left out keep their default, the ones given must be known and typed like the default
+            for (const [subKey, subValue] of Object.entries(value)) {
+                if (!(subKey in defaultValue)) return `unknown key "${subKey}"`;
+                const subDefault = defaultValue[subKey];
+                if (Array.isArray(subDefault)) {
+                    if (!Array.isArray(subValue) || subValue.length === 0 || subValue.some((v) => typeof v !== "string")) return `"${subKey}" must be a non-empty list of strings`;
+                } else if (typeof subValue !== "string" || !subValue) {
+                    return `"${subKey}" must be a selector string`;
+                } else {
+                    selectors.push(subValue);
+                }
+            }
+        }
+
+        const probe = document.createDocumentFragment();
+        for (const selector of selectors) {
+            try {
+                probe.querySelector(selector);
+            } catch (_) {
+                return `invalid selector "${selector}"`;
+            }
+        }
+        for (const pattern of patterns) {
+            try {
+                new RegExp(pattern);
+            } catch (_) {
+                return `invalid pattern "${pattern}"`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Stores imported rule sets, platforms missing from the file keep their current override
+     * @param {Object} json - Validated rule file
+     */
+    static async importRules(json) {
+        const overrides = await ScraperRules.getOverrides();
+        Object.entries(json).forEach(([platform, set]) => {
+            overrides[platform] = { version: set.version, rules: set.rules, importedAt: Date.now() };
+        });
+        return new Promise((resolve) => chrome.storage.local.set({ [ScraperRules.STORAGE_KEY]: overrides }, resolve));
+    }
+
+    /**
+     * Drops the imported rule set of a platform, or all of them
+     * @param {string|null} platform
+     */
+    static async resetRules(platform = null) {
+        const overrides = platform ? await ScraperRules.getOverrides() : {};
+        if (platform) delete overrides[platform];
+        return new Promise((resolve) => chrome.storage.local.set({ [ScraperRules.STORAGE_KEY]: overrides }, resolve));
+    }
+
+    /**
+     * Counts what the extraction rules match on the current page
+     * @param {Object} rules - Rule set of the page's platform
+     * @returns {{counts: Object, failing: string[]}} - failing lists the rules that matched nothing
+     */
+    static selfTest(rules) {
+        const postLinks = Array.from(document.querySelectorAll(rules.postLink));
+        const counts = {
+            postLink: postLinks.length,
+            thumbnail: postLinks.filter((a) => a.querySelector(rules.thumbnail.img) || a.querySelector(rules.thumbnail.source)).length,
+        };
+        if (rules.postList) counts.postList = document.querySelectorAll(rules.postList).length;
+        if (rules.caption) counts.caption = postLinks.filter((a) => a.querySelector(rules.caption)).length;
+
+        return { counts, failing: Object.keys(counts).filter((key) => counts[key] === 0) };
+    }
+}
+
+ScraperRules.STORAGE_KEY = "scraper_rules";
+ScraperRules.SELF_TEST_KEY = "scraper_rules_self_test"; // Last self-test result per platform, shown in the dashboard
+
+// Blockers shared by every platform: embedded captcha widgets and rate-limit dialogs
+ScraperRules.COMMON_BLOCKERS = [
+    { type: "CAPTCHA", selector: 'iframe[src*="captcha"], iframe[src*="recaptcha"], iframe[src*="hcaptcha"]' },
+    { type: "RATE_LIMIT", selector: '[role="dialog"], [role="alert"]', text: "too many requests|try again later|rate limit" },
+];
+
+ScraperRules.DEFAULTS = {
+    TikTok: {
+        version: 5,
+        rules: {
+            postList: "#user-post-item-list", // Profile grid, trimmed by Aggressive cleanup
+            postLink: 'a[href*="/video/"], a[href*="/photo/"]',
+            postUrlPattern: "/(video|photo)/",
+            photoUrlPattern: "/photo/",
+            thumbnail: { picture: "picture", source: "source", img: "img", imgAttributes: ["src", "data-src", "data-lazy"] },
+            caption: "img[alt]",
+            feedItem: '[data-e2e="recommend-list-item-container"], [data-e2e="feed-video"], article', // Locates the feed's scroll column
+            metrics: {
+                viewCount: '[data-e2e="video-views"]',
+                likeCount: '[data-e2e="video-likes"], [data-e2e="like-count"]',
+                commentCount: '[data-e2e="video-comments"], [data-e2e="comment-count"]',
+                shareCount: '[data-e2e="video-shares"], [data-e2e="share-count"]',
+            },
+            // Profile header, used when the page data does not describe the profile
+            profile: {
+                displayName: '[data-e2e="user-subtitle"]',
+                bio: '[data-e2e="user-bio"]',
+                followerCount: '[data-e2e="followers-count"]',
+                followingCount: '[data-e2e="following-count"]',
+                likeCount: '[data-e2e="likes-count"]',
+                avatar: '[data-e2e="user-avatar"] img',
+                verified: '[data-e2e="user-title"] svg, [data-e2e="verify-badge"]',
+            },
+            // Selected profile tab, the URL stays /@user when switching tabs
+            profileTabs: {
+                liked: '[data-e2e="liked-tab"][aria-selected="true"]',
+                favorites: '[data-e2e="favorites-tab"][aria-selected="true"]',
+                reposts: '[data-e2e="repost-tab"][aria-selected="true"]',
+            },
+            // API requests that load the posts of each profile tab
+            likedListPattern: "/api/favorite/item_list",
+            favoritesListPattern: "/api/user/collect/item_list",
+            repostsListPattern: "/api/repost/item_list",
+            // Comment panel of a video page, the rendered list is only read when no comment API response was captured
+            comments: {
+                openButton: '[data-e2e="comment-icon"], [data-e2e="browse-comment-icon"]',
+                text: '[data-e2e="comment-level-1"], [data-e2e="comment-level-2"]',
+                item: '[class*="CommentItemContainer"], [class*="CommentObjectWrapper"], [class*="ReplyContainer"]',
+                likeCount: '[data-e2e="comment-like-count"]',
+                viewReplies: '[class*="ViewRepliesContainer"], [class*="ReplyActionContainer"] > div',
+            },
+            // Captcha, login modal and "Something went wrong" states of the TikTok web app
+            blockers: [
+                ...ScraperRules.COMMON_BLOCKERS,
+                { type: "CAPTCHA", selector: '#captcha-verify-container, .captcha_verify_container, #tiktok-verify-ele, [class*="captcha_verify"]' },
+                { type: "LOGIN_WALL", selector: '[data-e2e="login-modal"], #login-modal' },
+                { type: "ERROR_STATE", selector: 'main [class*="ErrorContainer"], main [class*="DivErrorContainer"]', text: "something went wrong|couldn't load|try again" },
+            ],
+        },
+    },
+    Instagram: {
+        version: 1,
+        rules: {
+            postLink: 'a[href*="/p/"], a[href*="/reel/"], a[href*="/tv/"]',
+            thumbnail: { picture: "picture", source: "source", img: "img", imgAttributes: ["src", "data-src", "data-lazy"] },
+            // Redirects to the login or challenge flow, and the login dialog shown over profiles to logged-out visitors
+            blockers: [
+                ...ScraperRules.COMMON_BLOCKERS,
+                { type: "CAPTCHA", url: "^/challenge/" },
+                { type: "LOGIN_WALL", url: "^/accounts/login" },
+                { type: "LOGIN_WALL", selector: '[role="dialog"] input[name="username"]' },
+                { type: "RATE_LIMIT", selector: '[role="dialog"]', text: "please wait a few minutes" },
+            ],
+        },
+    },
+    Facebook: {
+        version: 1,
+        rules: {
+            postLink: 'a[href*="/videos/"], a[href*="/watch"], a[href*="/reel/"]',
+            thumbnail: { picture: "picture", source: "source", img: "img", imgAttributes: ["src", "data-src", "data-lazy"] },
+            // Security checkpoints and the login form Facebook lays over pages for logged-out visitors
+            blockers: [
+                ...ScraperRules.COMMON_BLOCKERS,
+                { type: "CAPTCHA", url: "^/checkpoint/" },
+                { type: "LOGIN_WALL", url: "^/login" },
+                { type: "LOGIN_WALL", selector: '[role="dialog"] #login_form, [role="dialog"] form[action*="login"]' },
+                { type: "RATE_LIMIT", selector: '[role="dialog"]', text: "temporarily blocked|you.re going too fast" },
+            ],
+        },
+    },
+};
@@ -0,0 +1,222 @@
+/**
+ * TikTok Comment Scraper
+ * Scrolls the comment panel of a video page and saves the thread to the comments store.
+ * Comments come from the comment API responses (see tiktok_page_hook.js), the rendered list is the fallback.
+ */
+class TikTokCommentScraper extends BaseScraper {
+    constructor(privacySetting = "HIDDEN_UNTIL_DONE", efficientScrolling = "Efficient", options = {}) {
+        super("TikTok", options);
+        this.privacySetting = privacySetting;
+        this.efficientScrolling = efficientScrolling;
+        this.dataSource = TikTokDataSource.shared;
+        this.videoId = null;
+        this.mediaId = null; // Canonical id of the post, comments are keyed to it
+        this.videoAuthor = null;
+        this.scrollContainer = undefined; // Resolved on first use, see getScrollContainer()
+        this.expandedReplies = new WeakSet(); // "View replies" buttons already clicked
+    }
+
+    getSessionTarget() {
+        return { userId: this.videoAuthor, source: this.videoId ? `comments:${this.videoId}` : null };
+    }
+
+    isProfilePage() {
+        return false;
+    }
+
+    // Comment runs are short and are queued again rather than resumed, the TikTok resume prompt would also offer a checkpoint on the video page
+    saveCheckpoint() {}
+
+    clearCheckpoint() {}
+
+    /**
+     * The comment list scrolls inside its own column on video pages, found from the first comment
+     */
+    getScrollContainer() {
+        if (this.scrollContainer === undefined || (this.scrollContainer && !this.scrollContainer.isConnected)) {
+            const firstComment = document.querySelector(this.rules.comments.text);
+            if (!firstComment) return null; // Not rendered yet, look again next time
+            this.scrollContainer = this.findScrollableAncestor(firstComment);
+        }
+        return this.scrollContainer;
+    }
+
+    async scrape() {
+        if (this.isScraping) return;
+        this.isScraping = true;
+
+        await this.loadRules();
+        this.setPrivacyOverlay(this.privacySetting);
+
+        this.videoId = MediaUtils.getTikTokVideoId(location.href);
+        this.mediaId = MediaUtils.canonicalize(this.platformName, location.href);
+        const ownerMatch = location.pathname.match(/^\/@([^/]+)/);
+        this.videoAuthor = ownerMatch ? decodeURIComponent(ownerMatch[1]) : null;
+
+        this.startSession();
+        this.showNotification("Starting TikTok Comment Scrape...", "info");
+
+        let scrapeError = null;
+        try {
+            if (!this.mediaId) throw new Error("Not a TikTok video page");
+
+            await this.openCommentPanel();
+            // Save as the API delivers, long threads outgrow what the panel keeps rendered
+            this.dataSource.onCommentCapture = () => this.saveComments().catch((err) => console.warn("[TikTok] Saving captured comments failed:", err));
+
+            await this.autoScroll(
+                300,
+                1500,
+                async () => {
+                    this.expandReplies();
+                    await this.saveComments();
+                    return false;
+                },
+                this.efficientScrolling,
+            );
+
+            await this.saveComments();
+        } catch (err) {
+            scrapeError = err;
+            console.error("Comment scrape error:", err);
+            this.showNotification(`Comment scrape error: ${err.message}`, "error");
+        } finally {
+            this.dataSource.onCommentCapture = null;
+            this.stop();
+            this.finishSession(scrapeError);
+
+            if (this.privacySetting === "HIDDEN_UNTIL_DONE") {
+                this.setPrivacyOverlay("OFF");
+            } else if (this.privacySetting === "ALWAYS_HIDDEN") {
+                this.updatePrivacyOverlayState("DONE");
+            }
+
+            this.notifyFinished("TikTok comment");
+        }
+    }
+
+    /**
+     * Opens the comment panel when the layout hides it behind the comment button
+     */
+    async openCommentPanel() {
+        if (document.querySelector(this.rules.comments.text)) return;
+
+        const button = document.querySelector(this.rules.comments.openButton);
+        if (button) {
+            button.click();
+            await this.waitForContent(BaseScraper.MAX_SCROLL_WAIT);
+        }
+    }
+
+    /**
+     * Clicks a few "View replies" buttons per pass, the replies load through the same comment API
+     */
+    expandReplies() {
+        const buttons = Array.from(document.querySelectorAll(this.rules.comments.viewReplies)).filter((b) => !this.expandedReplies.has(b) && /repl|more/i.test(b.textContent));
+        buttons.slice(0, TikTokCommentScraper.REPLY_CLICKS_PER_PASS).forEach((button) => {
+            this.expandedReplies.add(button);
+            button.click();
+        });
+    }
+
+    /**
+     * Reads the rendered comments, used when no API response was captured
+     * The markup has no comment ids or absolute dates, so ids are derived from the parent, author, text
+     * and how many identical comments came before it, keeping repeated comments apart.
+     * @returns {Array} - Comments in the normalized data source form
+     */
+    getCommentsFromPanel() {
+        const comments = [];
+        const occurrences = new Map(); // Identical parent|author|text -> count so far
+        let parentId = null;
+
+        document.querySelectorAll(this.rules.comments.text).forEach((textEl) => {
+            const container = textEl.closest(this.rules.comments.item) || textEl.parentElement;
+            const authorLink = container.querySelector('a[href*="/@"]');
+            const author = authorLink ? (authorLink.getAttribute("href").match(/\/@([^/?]+)/) || [])[1] : null;
+            const text = textEl.textContent.trim();
+            const likeEl = container.querySelector(this.rules.comments.likeCount);
+            const isReply = textEl.getAttribute("data-e2e") === "comment-level-2";
+            const key = `${isReply ? parentId : ""}|${author}|${text}`;
+            const occurrence = occurrences.get(key) || 0;
+            occurrences.set(key, occurrence + 1);
+            const commentId = `dom_${this.hashText(`${key}|${occurrence}`)}`;
+
+            comments.push({
+                commentId,
+                videoId: this.videoId,
+                parentId: isReply ? parentId : null,
+                replyToId: null,
+                author,
+                authorName: null,
+                text,
+                likeCount: likeEl ? this.parseCount(likeEl.textContent) : null,
+                replyCount: 0,
+                postedAt: null,
+            });
+            if (!isReply) parentId = commentId;
+        });
+        return comments;
+    }
+
+    /**
+     * Short stable hash (FNV-1a) for ids of comments read from the markup
+     */
+    hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Saves the comments not saved yet in this run
+     */
+    async saveComments() {
+        let comments = this.dataSource.getComments(this.videoId);
+        if (comments.length === 0) comments = this.getCommentsFromPanel();
+
+        const fresh = comments.filter((c) => !this.scrapedItems.has(c.commentId));
+        if (fresh.length === 0) return;
+        fresh.forEach((c) => this.scrapedItems.add(c.commentId));
+
+        const scrapedAt = Date.now();
+        const records = fresh.map((comment) => ({
+            id: `${this.mediaId}:${comment.commentId}`,
+            mediaId: this.mediaId,
+            mediaUserId: this.videoAuthor,
+            platform: this.platformName,
+            ...comment,
+            scrapedAt,
+        }));
+
+        await new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: "SAVE_BATCH", store: "comments", data: records }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    console.warn("[TikTok] Comment batch save failed", chrome.runtime.lastError || response);
+                } else {
+                    records.forEach((r) => this.savedIds.add(r.id));
+                    this.reportProgress();
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+TikTokCommentScraper.REPLY_CLICKS_PER_PASS = 5;
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "START_SCRAPE_COMMENTS") {
+        if (BaseScraper.current && BaseScraper.current.isScraping) {
+            sendResponse({ status: "already_running" });
+            return;
+        }
+        const scraper = new TikTokCommentScraper(request.privacySetting, request.efficientScrolling, request);
+        BaseScraper.current = scraper;
+        scraper.scrape().then(() => sendResponse({ status: "done" }));
+        return true; // async response
+    }
+});
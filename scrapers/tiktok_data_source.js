@@ -0,0 +1,292 @@
+/**
+ * TikTok Data Source
+ * Reads the structured post data TikTok embeds in the page (rehydration JSON)
+ * so the scraper does not depend on tile markup alone.
+ */
+class TikTokDataSource {
+    constructor() {
+        this.items = new Map(); // videoId -> normalized item
+        this.comments = new Map(); // commentId -> normalized comment
+        this.messageListener = null;
+        this.onCapture = null; // Called with the number of posts added from an API response
+        this.onCommentCapture = null; // Same for comment responses
+    }
+
+    /**
+     * Parses a JSON <script> tag by id
+     * @returns {Object|null}
+     */
+    readJsonScript(id, doc = document) {
+        const el = doc.getElementById(id);
+        if (!el || !el.textContent) return null;
+        try {
+            return JSON.parse(el.textContent);
+        } catch (e) {
+            console.warn(`[TikTokData] Could not parse #${id}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Indexes every post found in the embedded rehydration scripts
+     * Supports the current __UNIVERSAL_DATA_FOR_REHYDRATION__ layout and the legacy SIGI_STATE one.
+     * @param {Document} doc - The live page, or a fetched post page parsed with DOMParser
+     * @returns {number} - Number of posts found, 0 when the page carries no JSON
+     */
+    loadFromPage(doc = document) {
+        const rawItems = [];
+
+        const universal = this.readJsonScript("__UNIVERSAL_DATA_FOR_REHYDRATION__", doc);
+        const scope = universal && universal.__DEFAULT_SCOPE__;
+        if (scope) {
+            const detail = scope["webapp.video-detail"];
+            if (detail && detail.itemInfo && detail.itemInfo.itemStruct) rawItems.push(detail.itemInfo.itemStruct);
+
+            for (const value of Object.values(scope)) {
+                if (value && Array.isArray(value.itemList)) rawItems.push(...value.itemList);
+            }
+        }
+
+        const sigi = this.readJsonScript("SIGI_STATE", doc);
+        if (sigi && sigi.ItemModule) {
+            rawItems.push(...Object.values(sigi.ItemModule));
+        }
+
+        return this.addItems(rawItems);
+    }
+
+    /**
+     * Indexes the item_list and comment API responses forwarded by the page hook (tiktok_page_hook.js)
+     */
+    startCapture() {
+        if (this.messageListener) return;
+
+        this.messageListener = (event) => {
+            if (event.source !== window || !event.data || event.data.source !== TikTokDataSource.HOOK_SOURCE) return;
+
+            if (event.data.type === "TIKTOK_COMMENT_LIST" && Array.isArray(event.data.comments)) {
+                const added = this.addComments(event.data.comments);
+                if (added > 0 && this.onCommentCapture) this.onCommentCapture(added);
+                return;
+            }
+            if (event.data.type !== "TIKTOK_ITEM_LIST" || !Array.isArray(event.data.items)) return;
+
+            const added = this.addItems(event.data.items, event.data.url);
+            if (added > 0 && this.onCapture) this.onCapture(added);
+        };
+        window.addEventListener("message", this.messageListener);
+    }
+
+    stopCapture() {
+        if (this.messageListener) {
+            window.removeEventListener("message", this.messageListener);
+            this.messageListener = null;
+        }
+    }
+
+    /**
+     * Normalizes and indexes raw TikTok post objects
+     * @param {Array} rawItems
+     * @param {string} [apiUrl] - Request that returned them, tells the profile tabs (Liked, Favorites, Reposts) apart
+     * @returns {number} - Number of posts accepted
+     */
+    addItems(rawItems, apiUrl = null) {
+        const seenOn = location.pathname + location.search;
+        let listPath = null;
+        try {
+            if (apiUrl) listPath = new URL(apiUrl, location.origin).pathname;
+        } catch (_) {
+            // Unparseable request URL, the posts are still indexed
+        }
+
+        let added = 0;
+        for (const raw of rawItems) {
+            const item = this.normalizeItem(raw);
+            if (!item) continue;
+            item.seenOn = seenOn; // Page that loaded the post, TikTok is a SPA so this changes without a reload
+            item.listPath = listPath; // null for posts embedded in the page
+            this.items.set(item.videoId, item);
+            added++;
+        }
+        return added;
+    }
+
+    /**
+     * Maps a raw post object onto the fields the scraper stores
+     * Handles both embedded author objects and the legacy "author: uniqueId" string.
+     * @returns {Object|null}
+     */
+    normalizeItem(raw) {
+        if (!raw || !raw.id) return null;
+
+        const author = typeof raw.author === "object" && raw.author ? raw.author : { uniqueId: raw.author, nickname: raw.nickname };
+        if (!author.uniqueId) return null;
+
+        const textExtra = Array.isArray(raw.textExtra) ? raw.textExtra : [];
+        const hashtags = textExtra.filter((t) => t.hashtagName).map((t) => t.hashtagName.toLowerCase());
+        const mentions = textExtra.filter((t) => t.userUniqueId).map((t) => t.userUniqueId);
+
+        const stats = raw.statsV2 || raw.stats || {};
+        const metrics = {};
+        const statKeys = { viewCount: "playCount", likeCount: "diggCount", commentCount: "commentCount", shareCount: "shareCount" };
+        for (const [field, key] of Object.entries(statKeys)) {
+            const value = stats[key] != null ? Number(stats[key]) : NaN;
+            if (!isNaN(value)) metrics[field] = value;
+        }
+
+        const isPhoto = !!raw.imagePost;
+        const video = raw.video || {};
+        const photoCover = isPhoto && raw.imagePost.cover && raw.imagePost.cover.imageURL ? raw.imagePost.cover.imageURL.urlList[0] : null;
+        // Photo-mode slides, in carousel order
+        const images = isPhoto && Array.isArray(raw.imagePost.images) ? raw.imagePost.images.map((img) => img.imageURL && img.imageURL.urlList && img.imageURL.urlList[0]).filter(Boolean) : [];
+
+        return {
+            videoId: String(raw.id),
+            author: author.uniqueId,
+            authorName: author.nickname || null,
+            description: raw.desc || "",
+            hashtags: [...new Set(hashtags)],
+            mentions: [...new Set(mentions)],
+            postedAt: raw.createTime ? Number(raw.createTime) * 1000 : null,
+            coverUrl: photoCover || video.cover || video.originCover || null,
+            isPhoto,
+            images,
+            metrics,
+        };
+    }
+
+    /**
+     * Normalizes and indexes raw comment objects, including the reply previews nested in top-level comments
+     * @param {Array} rawComments
+     * @returns {number} - Number of comments accepted
+     */
+    addComments(rawComments) {
+        let added = 0;
+        for (const raw of rawComments) {
+            const comment = this.normalizeComment(raw);
+            if (!comment) continue;
+            this.comments.set(comment.commentId, comment);
+            added++;
+            if (Array.isArray(raw.reply_comment)) added += this.addComments(raw.reply_comment);
+        }
+        return added;
+    }
+
+    /**
+     * Maps a raw comment onto the fields the comments store keeps
+     * reply_id is the top-level comment a reply belongs to, reply_to_reply_id the reply it answers ("0" when none).
+     * @returns {Object|null}
+     */
+    normalizeComment(raw) {
+        if (!raw || !raw.cid || !raw.aweme_id) return null;
+
+        const user = raw.user || {};
+        const refId = (value) => (value && String(value) !== "0" ? String(value) : null);
+        const count = (value) => (value != null && !isNaN(Number(value)) ? Number(value) : null);
+
+        return {
+            commentId: String(raw.cid),
+            videoId: String(raw.aweme_id),
+            parentId: refId(raw.reply_id),
+            replyToId: refId(raw.reply_to_reply_id),
+            author: user.unique_id || null,
+            authorName: user.nickname || null,
+            text: raw.text || "",
+            likeCount: count(raw.digg_count),
+            replyCount: count(raw.reply_comment_total) || 0,
+            postedAt: raw.create_time ? Number(raw.create_time) * 1000 : null,
+        };
+    }
+
+    /**
+     * All indexed comments of a post
+     */
+    getComments(videoId) {
+        return Array.from(this.comments.values()).filter((comment) => comment.videoId === videoId);
+    }
+
+    /**
+     * @param {string} videoId
+     * @returns {Object|null}
+     */
+    getItem(videoId) {
+        return (videoId && this.items.get(videoId)) || null;
+    }
+
+    /**
+     * All indexed posts created by the given user
+     */
+    getItemsByAuthor(userId) {
+        return Array.from(this.items.values()).filter((item) => item.author === userId);
+    }
+
+    /**
+     * All indexed posts loaded while the given page was open
+     * @param {string} seenOn - location.pathname + location.search
+     */
+    getItemsSeenOn(seenOn) {
+        return Array.from(this.items.values()).filter((item) => item.seenOn === seenOn);
+    }
+
+    /**
+     * Posts loaded on the given page by the API matching the pattern, e.g. a profile's Liked tab
+     * @param {string} seenOn - location.pathname + location.search
+     * @param {RegExp} listPattern - Matched against the API request path
+     */
+    getItemsFromList(seenOn, listPattern) {
+        return this.getItemsSeenOn(seenOn).filter((item) => item.listPath && listPattern.test(item.listPath));
+    }
+
+    /**
+     * Reads the profile header data embedded in a profile page
+     * The JSON describes the page as first loaded, so it is only returned when it is the requested user.
+     * @param {string} userId
+     * @param {Document} doc
+     * @returns {Object|null} - { userId, displayName, bio, verified, avatarUrl, followerCount, followingCount, likeCount, videoCount }
+     */
+    getProfile(userId, doc = document) {
+        let user = null;
+        let stats = null;
+
+        const universal = this.readJsonScript("__UNIVERSAL_DATA_FOR_REHYDRATION__", doc);
+        const detail = universal && universal.__DEFAULT_SCOPE__ && universal.__DEFAULT_SCOPE__["webapp.user-detail"];
+        if (detail && detail.userInfo) {
+            user = detail.userInfo.user;
+            stats = detail.userInfo.statsV2 || detail.userInfo.stats;
+        }
+
+        const sigi = !user && this.readJsonScript("SIGI_STATE", doc);
+        if (sigi && sigi.UserModule) {
+            user = (sigi.UserModule.users || {})[userId];
+            stats = (sigi.UserModule.stats || {})[userId];
+        }
+
+        if (!user || !user.uniqueId || user.uniqueId.toLowerCase() !== String(userId).toLowerCase()) return null;
+
+        const count = (key) => (stats && stats[key] != null && !isNaN(Number(stats[key])) ? Number(stats[key]) : null);
+        return {
+            userId: user.uniqueId,
+            displayName: user.nickname || null,
+            bio: user.signature || "",
+            verified: !!user.verified,
+            avatarUrl: user.avatarLarger || user.avatarMedium || user.avatarThumb || null,
+            followerCount: count("followerCount"),
+            followingCount: count("followingCount"),
+            likeCount: count("heartCount") != null ? count("heartCount") : count("heart"),
+            videoCount: count("videoCount"),
+        };
+    }
+
+    /**
+     * Builds the post URL in the same form the grid anchors use
+     */
+    getPostUrl(item) {
+        return `https://www.tiktok.com/@${item.author}/${item.isPhoto ? "photo" : "video"}/${item.videoId}`;
+    }
+}
+
+TikTokDataSource.HOOK_SOURCE = "social-scraper-hook";
+
+// Capture from page load, TikTok fetches the first item_list before a scrape is started
+TikTokDataSource.shared = new TikTokDataSource();
+TikTokDataSource.shared.startCapture();
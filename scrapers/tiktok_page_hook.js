@@ -0,0 +1,81 @@
+/**
+ * TikTok Page Hook
+ * Runs in the page world (see manifest "world": "MAIN") and wraps fetch/XMLHttpRequest
+ * so the item_list and comment API responses TikTok loads while scrolling reach the content script.
+ * The page world has no extension APIs, items are forwarded with window.postMessage.
+ */
+(() => {
+    const HOOK_SOURCE = "social-scraper-hook";
+    const ITEM_LIST_PATTERN = /\/api\/(?:[\w/]*item_list|search\/[\w/]+)\//;
+    const COMMENT_LIST_PATTERN = /\/api\/comment\/list\//; // Top-level comments and /reply/ pages
+
+    if (window.__socialScraperHooked) return;
+    window.__socialScraperHooked = true;
+
+    /**
+     * Pulls the posts out of an item_list or search response
+     * @param {Object} body - Parsed JSON response
+     * @returns {Array}
+     */
+    const getItems = (body) => {
+        if (!body) return [];
+        if (Array.isArray(body.itemList)) return body.itemList;
+        if (Array.isArray(body.item_list)) return body.item_list;
+        // Search results wrap each post as { type, item }
+        if (Array.isArray(body.data)) return body.data.map((entry) => entry && entry.item).filter(Boolean);
+        return [];
+    };
+
+    /**
+     * Forwards the posts (or comments) of a response to the content script
+     * @param {string} url - Request URL
+     * @param {Object} body - Parsed JSON response
+     */
+    const forward = (url, body) => {
+        if (COMMENT_LIST_PATTERN.test(url)) {
+            if (body && Array.isArray(body.comments) && body.comments.length > 0) {
+                window.postMessage({ source: HOOK_SOURCE, type: "TIKTOK_COMMENT_LIST", url, comments: body.comments }, location.origin);
+            }
+            return;
+        }
+
+        const items = getItems(body);
+        if (items.length === 0) return;
+        window.postMessage({ source: HOOK_SOURCE, type: "TIKTOK_ITEM_LIST", url, items }, location.origin);
+    };
+
+    const isCaptured = (url) => ITEM_LIST_PATTERN.test(String(url || "")) || COMMENT_LIST_PATTERN.test(String(url || ""));
+
+    // 1. fetch
+    const originalFetch = window.fetch;
+    window.fetch = function (...args) {
+        const promise = originalFetch.apply(this, args);
+        const input = args[0];
+        const url = input instanceof Request ? input.url : String(input); // Strings and URL objects
+
+        if (isCaptured(url)) {
+            promise
+                .then((response) => response.clone().json())
+                .then((body) => forward(url, body))
+                .catch(() => {}); // Never break the page over a capture failure
+        }
+        return promise;
+    };
+
+    // 2. XMLHttpRequest
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        if (isCaptured(url)) {
+            this.addEventListener("load", () => {
+                try {
+                    let body = this.response;
+                    if (this.responseType === "" || this.responseType === "text") body = JSON.parse(this.responseText);
+                    forward(String(url), body);
+                } catch (_) {
+                    // Non-JSON or aborted response, ignore
+                }
+            });
+        }
+        return originalOpen.call(this, method, url, ...rest);
+    };
+})();
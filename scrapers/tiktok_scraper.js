@@ -1,12 +1,16 @@
 class TikTokScraper extends BaseScraper {
-    constructor(privacySetting = "HIDDEN_UNTIL_DONE", efficientScrolling = "Efficient") {
-        super("TikTok");
+    constructor(privacySetting = "HIDDEN_UNTIL_DONE", efficientScrolling = "Efficient", options = {}) {
+        super("TikTok", options);
         this.privacySetting = privacySetting;
         this.efficientScrolling = efficientScrolling;
         this.newLinksBuffer = new Set();
         this.observer = null;
         this.topUser = null;
+        this.pageContext = null; // Set on multi-author pages (hashtag, sound, search, feeds, collections, profile tabs)
+        this.scrollContainer = undefined; // Resolved on first use, see getScrollContainer()
         this.pendingInvalidItems = new Map(); // Track invalid thumbnails { href: { element, strikes } }
+        this.dataSource = TikTokDataSource.shared;
+        this.photosMissingSlides = new Map(); // Photo posts saved without their carousel { href: userId }
     }
 
     startObserver() {
@@ -63,6 +67,101 @@ class TikTokScraper extends BaseScraper {
         }
     }
 
+    /**
+     * Detects pages that list posts from many creators
+     * Feeds (For You, Following, Friends, Explore) and collections are attributed per post like hashtags.
+     * @param {string} url
+     * @returns {{type: string, value: string, source: string}|null} - null on profiles and other single-author pages
+     */
+    detectPageContext(url) {
+        try {
+            const parsed = new URL(url);
+            const segments = parsed.pathname.split("/").filter(Boolean);
+            let context = null;
+
+            if (segments[0] === "tag" && segments[1]) {
+                context = { type: "hashtag", value: decodeURIComponent(segments[1]).toLowerCase() };
+            } else if (segments[0] === "music" && segments[1]) {
+                // Sound pages are /music/<slug>-<id>, the numeric ID is the stable part
+                const match = segments[1].match(/(\d+)$/);
+                if (match) context = { type: "sound", value: match[1] };
+            } else if (segments[0] === "search") {
+                const query = (parsed.searchParams.get("q") || "").trim();
+                if (query) context = { type: "search", value: query };
+            } else if (segments.length === 0 || TikTokScraper.FEED_PATHS.includes(segments[0])) {
+                // The home page is the For You feed
+                context = { type: "feed", value: segments[0] || "foryou" };
+            } else if (segments[1] === "collection" && segments[2]) {
+                // Collections are /@owner/collection/<name>-<id>, the owner is not the author of the posts
+                context = { type: "collection", value: decodeURIComponent(segments[2]) };
+            }
+
+            if (context) context.source = `${context.type}:${context.value}`;
+            return context;
+        } catch (e) {
+            console.error("Error detecting page context:", e);
+            return null;
+        }
+    }
+
+    /**
+     * Detects the Liked, Favorites and Reposts tabs of a profile from the selected tab
+     * Their posts belong to other creators, the profile owner is recorded as a relation on each post.
+     * @returns {{type: string, value: string, source: string, owner: string, relation: string, listPattern: RegExp}|null}
+     */
+    detectProfileTab() {
+        const owner = this.getUsernameFromUrl(location.href);
+        if (!owner) return null;
+
+        for (const [tab, selector] of Object.entries(this.rules.profileTabs)) {
+            if (!document.querySelector(selector)) continue;
+            return {
+                type: tab,
+                value: owner,
+                source: `${tab}:${owner}`,
+                owner,
+                relation: TikTokScraper.PROFILE_TAB_RELATIONS[tab],
+                listPattern: new RegExp(this.rules[`${tab}ListPattern`]),
+            };
+        }
+        return null;
+    }
+
+    getSessionTarget() {
+        if (this.pageContext) return { userId: null, source: this.pageContext.source };
+        return { userId: this.topUser && this.topUser !== "UNKNOWN" ? this.topUser : null, source: null };
+    }
+
+    isProfilePage() {
+        return !this.pageContext;
+    }
+
+    /**
+     * Feeds scroll inside their own column in some layouts, found from the first feed item
+     */
+    getScrollContainer() {
+        if (!this.pageContext || this.pageContext.type !== "feed") return null;
+        if (this.scrollContainer === undefined || (this.scrollContainer && !this.scrollContainer.isConnected)) {
+            this.scrollContainer = this.findScrollableAncestor(document.querySelector(this.rules.feedItem));
+        }
+        return this.scrollContainer;
+    }
+
+    getCheckpointState() {
+        // Tiles waiting for a thumbnail keep their strike count, the elements themselves do not survive a reload
+        const pendingInvalid = Array.from(this.pendingInvalidItems.entries()).map(([href, data]) => [href, data.strikes]);
+        return { topUser: this.topUser, pendingInvalid };
+    }
+
+    restoreCheckpointState(state) {
+        if (state.topUser) this.topUser = state.topUser;
+        (state.pendingInvalid || []).forEach(([href, strikes]) => this.pendingInvalidItems.set(href, { element: null, strikes }));
+    }
+
+    getPendingInvalidCount() {
+        return this.pendingInvalidItems.size;
+    }
+
     /**
      * Checks if a thumbnail URL is considered valid (not a base64 placeholder)
      * @param {string|null} url
@@ -73,6 +172,49 @@ class TikTokScraper extends BaseScraper {
         return !url.startsWith("data:image/");
     }
 
+    /**
+     * Reads the video description from the tile image alt text
+     * TikTok renders it as "<caption> created by <name> with <sound>"
+     * @param {HTMLAnchorElement} a
+     * @returns {string}
+     */
+    getCaptionFromAnchor(a) {
+        const img = a.querySelector(this.rules.caption);
+        if (!img) return "";
+        return img
+            .getAttribute("alt")
+            .replace(/\s*created by .+ with .+$/i, "")
+            .trim();
+    }
+
+    /**
+     * Splits a caption into its description, hashtags and @mentions
+     * @param {string} text
+     * @returns {{description: string, hashtags: string[], mentions: string[]}}
+     */
+    parseCaption(text) {
+        const description = (text || "").trim();
+        const hashtags = [...new Set(Array.from(description.matchAll(/#([\p{L}\p{N}_]+)/gu), (m) => m[1].toLowerCase()))];
+        const mentions = [...new Set(Array.from(description.matchAll(/@([\w.]+)/g), (m) => m[1].replace(/\.$/, "")))];
+        return { description, hashtags, mentions };
+    }
+
+    /**
+     * Reads the engagement counters rendered on a tile
+     * Profile grids only show views, likes/comments/shares are picked up when present
+     * @param {HTMLAnchorElement} a
+     * @returns {Object} - Only the counters that were found
+     */
+    getMetricsFromAnchor(a) {
+        const metrics = {};
+        for (const [field, selector] of Object.entries(this.rules.metrics)) {
+            const el = a.querySelector(selector);
+            const value = el ? this.parseCount(el.textContent) : null;
+            if (value !== null) metrics[field] = value;
+        }
+        return metrics;
+    }
+
     /**
      * Main scrape execution context
      */
@@ -80,13 +222,27 @@ class TikTokScraper extends BaseScraper {
         if (this.isScraping) return;
         this.isScraping = true;
 
+        await this.loadRules();
         this.setPrivacyOverlay(this.privacySetting);
 
-        this.showNotification("Starting TikTok Scrape...", "info");
-        console.log("Starting TikTok Scrape...");
+        this.pageContext = this.detectPageContext(location.href) || this.detectProfileTab();
+        const contextLabel = this.pageContext ? ` (${this.pageContext.source})` : "";
+        this.showNotification(`Starting TikTok Scrape${contextLabel}...`, "info");
+        console.log(`Starting TikTok Scrape${contextLabel}...`);
 
+        this.startSession(); // Target user is filled in on finish once resolved
         this.startObserver();
 
+        const embeddedCount = this.dataSource.loadFromPage();
+        console.log(embeddedCount > 0 ? `[TikTok] Loaded ${embeddedCount} posts from page data.` : "[TikTok] No page data found, using tile markup only.");
+        console.log(`[TikTok] ${this.dataSource.items.size} posts indexed so far (page data + API responses).`);
+
+        if (this.isProfilePage()) await this.scrapeProfile();
+
+        // Save posts as soon as the API delivers them, Aggressive cleanup may drop their tiles before extraction
+        this.dataSource.onCapture = () => this.saveDataSourceItems().catch((err) => console.warn("[TikTok] Saving captured posts failed:", err));
+
+        let scrapeError = null;
         try {
             // 1. Auto-scroll to load content
             // We pass a callback to extraction logic to run periodically if we wanted "EVERYLOOP" mode,
@@ -98,9 +254,11 @@ class TikTokScraper extends BaseScraper {
                 2000,
                 async () => {
                     await this.extractAndSave();
+                    await this.saveDataSourceItems();
+                    if (this.isCaughtUp()) return true;
 
                     if (this.efficientScrolling === "Aggressive") {
-                        const postItems = document.getElementById("user-post-item-list");
+                        const postItems = document.querySelector(this.rules.postList);
                         if (postItems && postItems.childNodes.length > 400) {
                             console.log(`Aggressive cleanup triggered... Current items: ${postItems.childNodes.length}`);
 
@@ -154,12 +312,18 @@ class TikTokScraper extends BaseScraper {
 
             // Final pass - Force update of any data URIs
             await this.extractAndSave(true);
+            await this.saveDataSourceItems();
+            // Fetching post pages would only hit the wall again
+            if (this.lastScrollReason !== "BLOCKED") await this.saveMissingSlides();
         } catch (err) {
+            scrapeError = err;
             console.error("Scrape error:", err);
             this.showNotification("Scrape error occurred", "error");
         } finally {
+            this.dataSource.onCapture = null;
             this.stopObserver();
             this.stop();
+            this.finishSession(scrapeError);
 
             if (this.privacySetting === "HIDDEN_UNTIL_DONE") {
                 this.setPrivacyOverlay("OFF");
@@ -167,66 +331,212 @@ class TikTokScraper extends BaseScraper {
                 this.updatePrivacyOverlayState("DONE");
             }
 
-            this.showNotification("TikTok Scrape Complete!", "success");
+            this.notifyFinished("TikTok");
             console.log("TikTok Scrape Complete.");
         }
     }
 
     /**
-     * Extraction Logic
+     * Stores the profile header (name, bio, counters, avatar) of the profile being scraped
+     * Exact counts from the page data when it describes this profile, the rendered header otherwise.
+     */
+    async scrapeProfile() {
+        const userId = this.getUsernameFromUrl(location.href);
+        if (!userId) return;
+
+        const profile = this.dataSource.getProfile(userId) || this.getProfileFromHeader(userId);
+        if (!profile) {
+            console.log(`[TikTok] No profile header found for ${userId}.`);
+            return;
+        }
+        await this.saveProfile(profile);
+    }
+
+    /**
+     * Reads the rendered profile header, counters are rounded as displayed ("1.2M")
+     * @returns {Object|null}
      */
+    getProfileFromHeader(userId) {
+        const selectors = this.rules.profile;
+        const text = (selector) => {
+            const el = document.querySelector(selector);
+            return el ? el.textContent.trim() : null;
+        };
+
+        const profile = { userId, displayName: text(selectors.displayName), bio: text(selectors.bio) || "", verified: !!document.querySelector(selectors.verified) };
+        for (const field of ["followerCount", "followingCount", "likeCount"]) {
+            profile[field] = this.parseCount(text(selectors[field]));
+        }
+        const avatar = document.querySelector(selectors.avatar);
+        profile.avatarUrl = avatar ? avatar.getAttribute("src") : null;
+
+        return profile.displayName || profile.followerCount != null ? profile : null;
+    }
+
+    /**
+     * Determines whose posts are being scraped (once per run)
+     * Uses the profile in the URL, otherwise the most frequent author linked on the page.
+     */
+    resolveTopUser() {
+        if (this.topUser !== null) return;
+
+        const locationUser = this.getUsernameFromUrl(location.href);
+        if (locationUser != "") {
+            this.topUser = locationUser;
+        } else {
+            // Identify Scraped User (Most frequent user in list based on full document scan once)
+            let maxCount = 0;
+            const userCounts = {};
+            const allLinks = Array.from(document.querySelectorAll("a"));
+            const allPotentialItems = allLinks.map((a) => ({ user: this.getUsernameFromUrl(a.href) })).filter((item) => item.user);
+
+            allPotentialItems.forEach((item) => {
+                userCounts[item.user] = (userCounts[item.user] || 0) + 1;
+                if (userCounts[item.user] > maxCount) {
+                    maxCount = userCounts[item.user];
+                    this.topUser = item.user;
+                }
+            });
+
+            if (!this.topUser) this.topUser = "UNKNOWN";
+        }
+    }
+
+    /**
+     * Best thumbnail for a tile: the cover from page data, else the tile markup
+     * @param {{href: string, element: HTMLAnchorElement}} item
+     */
+    getThumbnailForItem(item) {
+        const data = this.dataSource.getItem(MediaUtils.getTikTokVideoId(item.href));
+        if (data && data.coverUrl) return data.coverUrl;
+        return this.getThumbnailFromAnchor(item.element);
+    }
+
     /**
-     * Helper to find best thumbnail from an anchor element
-     * Adapted from user provided logic
+     * Builds the media record for a post
+     * Page data (hydration JSON) wins, the tile markup fills whatever it lacks.
+     * @param {string} href - Post URL
+     * @param {string} userId - Author to attribute the post to
+     * @param {HTMLAnchorElement|null} element - Grid tile, null for posts only known from page data
      */
-    getThumbnailFromAnchor(a) {
-        const picture = a.querySelector("picture");
-        const source = picture ? picture.querySelector("source") : a.querySelector("source");
-        if (!a.querySelector) return null; // Safety check
-        const img = a.querySelector("img") || (picture && picture.querySelector("img"));
-
-        let rawSrc = null;
-        let srcset = null;
-
-        // Prefer <source> type attribute if present
-        if (source) {
-            rawSrc = source.getAttribute("src") || source.getAttribute("srcset") || null;
-            srcset = source.getAttribute("srcset") || null;
+    buildMediaItem(href, userId, element = null) {
+        const videoId = MediaUtils.getTikTokVideoId(href);
+        const data = this.dataSource.getItem(videoId);
+
+        const caption = data && data.description ? data : this.parseCaption(element ? this.getCaptionFromAnchor(element) : "");
+        const metrics = { ...(element ? this.getMetricsFromAnchor(element) : {}), ...(data ? data.metrics : {}) };
+
+        const mediaItem = {
+            id: href,
+            userId: userId,
+            platform: "TikTok",
+            originalUrl: href,
+            videoId: videoId,
+            postedAt: (data && data.postedAt) || MediaUtils.getTikTokPostedAt(videoId),
+            thumbnailUrl: element ? this.getThumbnailForItem({ href, element }) : data.coverUrl,
+            description: caption.description,
+            hashtags: caption.hashtags,
+            mentions: caption.mentions,
+            ...metrics,
+            scrapedAt: Date.now(),
+            downloadStatus: "PENDING",
+        };
+        if (data && data.authorName) mediaItem.authorName = data.authorName;
+        if (data && data.images.length > 0) {
+            mediaItem.images = data.images;
+            this.photosMissingSlides.delete(href);
+        } else if (new RegExp(this.rules.photoUrlPattern).test(href)) {
+            this.photosMissingSlides.set(href, userId);
         }
+        if (this.pageContext) mediaItem.sources = [this.pageContext.source];
+        if (this.pageContext && this.pageContext.relation) mediaItem[this.pageContext.relation] = [this.pageContext.owner];
 
-        // Fallback to <img>
-        if (!rawSrc && img) {
-            rawSrc = img.getAttribute("src") || img.getAttribute("data-src") || img.getAttribute("data-lazy") || null;
-            srcset = img.getAttribute("srcset") || null;
+        return mediaItem;
+    }
+
+    /**
+     * Saves posts that are only known from page data, e.g. tiles not rendered yet
+     * or removed from user-post-item-list by Aggressive cleanup
+     */
+    async saveDataSourceItems() {
+        let dataItems;
+        if (this.pageContext && this.pageContext.listPattern) {
+            // Profile tabs share the profile URL, only the tab's own API list counts
+            dataItems = this.dataSource.getItemsFromList(location.pathname + location.search, this.pageContext.listPattern);
+        } else if (this.pageContext) {
+            // Multi-author pages: everything this page loaded, each post keeps its own author
+            dataItems = this.dataSource.getItemsSeenOn(location.pathname + location.search);
+        } else {
+            this.resolveTopUser();
+            if (this.topUser === "UNKNOWN" || !this.topUser) return;
+            dataItems = this.dataSource.getItemsByAuthor(this.topUser);
         }
 
-        if (!rawSrc && !srcset) return null;
+        this.markSeen(dataItems.map((data) => this.dataSource.getPostUrl(data)));
+
+        const authors = new Map();
+        const candidates = dataItems
+            .filter((data) => this.isValidThumbnail(data.coverUrl))
+            .map((data) => {
+                const id = this.dataSource.getPostUrl(data);
+                authors.set(id, data.author);
+                return { id, thumbnailUrl: data.coverUrl };
+            });
+
+        const newItems = this.filterNewItems(candidates);
+        if (newItems.length === 0) return;
+
+        console.log(`[TikTok] Saving ${newItems.length} posts from page data for ${this.pageContext ? this.pageContext.source : this.topUser}`);
+        const mediaItems = newItems.map((item) => this.buildMediaItem(item.id, authors.get(item.id)));
 
-        // If srcset exists, pick the highest density candidate
-        if (srcset) {
+        await this.saveBatch(mediaItems);
+    }
+
+    /**
+     * Completes photo posts whose slides were not in the page data
+     * Each post page is fetched one at a time and its rehydration JSON read like the live page.
+     */
+    async saveMissingSlides() {
+        if (this.photosMissingSlides.size === 0) return;
+
+        const pending = Array.from(this.photosMissingSlides.entries());
+        this.showNotification(`Fetching slides for ${pending.length} photo posts...`, "info");
+
+        const mediaItems = [];
+        for (const [href, userId] of pending) {
+            await this.waitWhilePaused();
+            if (!this.isScraping) break;
             try {
-                const candidates = srcset
-                    .split(",")
-                    .map((s) => s.trim())
-                    .map((part) => {
-                        const [url, descriptor] = part.split(/\s+/);
-                        const value = descriptor ? parseFloat(descriptor) : 1;
-                        return { url, value: isNaN(value) ? 1 : value };
-                    });
-                candidates.sort((a, b) => b.value - a.value);
-                return candidates[0].url;
+                const response = await fetch(href, { credentials: "include" });
+                if (response.ok) {
+                    const doc = new DOMParser().parseFromString(await response.text(), "text/html");
+                    this.dataSource.loadFromPage(doc);
+                }
             } catch (e) {
-                return rawSrc;
+                console.warn(`[TikTok] Could not load photo post ${href}:`, e);
             }
+
+            const data = this.dataSource.getItem(MediaUtils.getTikTokVideoId(href));
+            // The cover keeps saveAll on its merge path, which only refreshes details
+            if (data && data.coverUrl && data.images.length > 0) mediaItems.push(this.buildMediaItem(href, userId));
+
+            await this.sleep(1000); // Throttle
         }
 
-        return rawSrc;
+        console.log(`[TikTok] Loaded slides for ${mediaItems.length}/${pending.length} photo posts`);
+        if (mediaItems.length === 0) return;
+
+        await this.saveBatch(mediaItems);
     }
 
+    /**
+     * Extraction Logic
+     */
     async extractAndSave(forceScan = false) {
         // Cleanup map: remove items that are no longer in the DOM to prevent memory leaks
+        // Entries restored from a checkpoint have no element until their tile renders again
         for (const [href, data] of this.pendingInvalidItems.entries()) {
-            if (!document.body.contains(data.element)) {
+            if (data.element && !document.body.contains(data.element)) {
                 this.pendingInvalidItems.delete(href);
             }
         }
@@ -253,44 +563,29 @@ class TikTokScraper extends BaseScraper {
         if (links.length === 0) return;
 
         // Map to objects first so we keep the element reference
+        const postUrlPattern = new RegExp(this.rules.postUrlPattern);
         const potentialItems = links
             .map((a) => ({
                 element: a,
                 href: a.href,
                 user: this.getUsernameFromUrl(a.href),
             }))
-            .filter((item) => item.href.includes("/video/") || item.href.includes("/photo/"));
-
-        if (this.topUser === null) {
-            const locationUser = this.getUsernameFromUrl(location.href);
-            console.log(locationUser);
-            if (locationUser != "") {
-                this.topUser = locationUser;
-            } else {
-                // Identify Scraped User (Most frequent user in list based on full document scan once)
-                let maxCount = 0;
-                const userCounts = {};
-                const allLinks = Array.from(document.querySelectorAll("a"));
-                const allPotentialItems = allLinks.map((a) => ({ user: this.getUsernameFromUrl(a.href) })).filter((item) => item.user);
-
-                allPotentialItems.forEach((item) => {
-                    userCounts[item.user] = (userCounts[item.user] || 0) + 1;
-                    if (userCounts[item.user] > maxCount) {
-                        maxCount = userCounts[item.user];
-                        this.topUser = item.user;
-                    }
-                });
+            .filter((item) => postUrlPattern.test(item.href));
 
-                if (!this.topUser) this.topUser = "UNKNOWN";
-            }
-        }
-
-        if (this.topUser === "UNKNOWN" || !this.topUser) return;
-
-        const topUser = this.topUser;
+        let targetItems;
+        if (this.pageContext) {
+            // Multi-author mode: keep every post, each is attributed to its own author
+            targetItems = potentialItems.filter((item) => item.user);
+        } else {
+            this.resolveTopUser();
+            if (this.topUser === "UNKNOWN" || !this.topUser) return;
 
-        // Filter items belonging to the Top User
-        const targetItems = potentialItems.filter((item) => item.user === topUser);
+            // Filter items belonging to the Top User
+            targetItems = potentialItems.filter((item) => item.user === this.topUser);
+        }
+        const label = this.pageContext ? this.pageContext.source : this.topUser;
+        // Before the strike logic, tiles it removes are still live posts
+        this.markSeen(targetItems.map((item) => item.href));
 
         let itemsToSave;
 
@@ -305,7 +600,7 @@ class TikTokScraper extends BaseScraper {
             const validItems = [];
 
             for (const item of targetItems) {
-                const thumbUrl = this.getThumbnailFromAnchor(item.element);
+                const thumbUrl = this.getThumbnailForItem(item);
                 const isValid = this.isValidThumbnail(thumbUrl);
 
                 if (isValid) {
@@ -319,6 +614,7 @@ class TikTokScraper extends BaseScraper {
                     }
 
                     const pendingData = this.pendingInvalidItems.get(item.href);
+                    if (!pendingData.element) pendingData.element = item.element;
 
                     // Only increment strikes in Aggressive Mode
                     if (this.efficientScrolling === "Aggressive") {
@@ -334,7 +630,7 @@ class TikTokScraper extends BaseScraper {
 
                             // Traverse up to find the direct child of user-post-item-list
                             while (parent && parent !== document.body) {
-                                if (parent.parentNode && parent.parentNode.id === "user-post-item-list") {
+                                if (parent.parentNode instanceof Element && parent.parentNode.matches(this.rules.postList)) {
                                     parent.parentNode.removeChild(parent);
                                     removed = true;
                                     break;
@@ -358,7 +654,7 @@ class TikTokScraper extends BaseScraper {
             // check if the *valid* items are actually new to the database
             const itemsWithThumbs = validItems.map((i) => ({
                 id: i.href,
-                thumbnailUrl: this.getThumbnailFromAnchor(i.element),
+                thumbnailUrl: this.getThumbnailForItem(i),
             }));
             const newItems = this.filterNewItems(itemsWithThumbs);
             if (newItems.length === 0) return;
@@ -370,32 +666,16 @@ class TikTokScraper extends BaseScraper {
 
         if (!forceScan) {
             // Only notify for "Found new items" in normal mode
-            const msg = `Found ${itemsToSave.length} new items for ${topUser}`;
+            const msg = `Found ${itemsToSave.length} new items for ${label}`;
             console.log(msg);
             this.showNotification(msg, "success");
         }
 
         // Save Media Items with Thumbnails
-        const mediaItems = itemsToSave.map((item) => {
-            // Re-extract thumbnail (in case we waited and it loaded, OR just to get the current state)
-            const thumbUrl = this.getThumbnailFromAnchor(item.element);
+        // Re-extract thumbnail (in case we waited and it loaded, OR just to get the current state)
+        const mediaItems = itemsToSave.map((item) => this.buildMediaItem(item.href, this.pageContext ? item.user : this.topUser, item.element));
 
-            return {
-                id: item.href,
-                userId: topUser,
-                platform: "TikTok",
-                originalUrl: item.href,
-                thumbnailUrl: thumbUrl,
-                scrapedAt: Date.now(),
-                downloadStatus: "PENDING",
-            };
-        });
-
-        chrome.runtime.sendMessage({
-            action: "SAVE_BATCH",
-            store: "media",
-            data: mediaItems,
-        });
+        await this.saveBatch(mediaItems);
         // Notify Background to Download?
         // User asked to "export urls" and "download videos".
         // We can trigger downloads here or let the user do it from Dashboard.
@@ -404,15 +684,29 @@ class TikTokScraper extends BaseScraper {
     }
 }
 
+// First path segments of the TikTok feeds
+TikTokScraper.FEED_PATHS = ["foryou", "following", "friends", "explore"];
+
+// Profile tab -> media field listing the profiles whose tab held the post
+TikTokScraper.PROFILE_TAB_RELATIONS = { liked: "likedBy", favorites: "favoritedBy", reposts: "repostedBy" };
+
 // Auto-initialize if on correct page?
 // Or wait for message from Popup?
 // Typically we wait for a message.
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "START_SCRAPE_TIKTOK") {
         console.log("Received START_SCRAPE_TIKTOK", request);
-        const scraper = new TikTokScraper(request.privacySetting, request.efficientScrolling);
-        console.log("Created Scraper with privacySetting:", scraper.privacySetting, "efficientScrolling:", scraper.efficientScrolling);
+        if (BaseScraper.current && BaseScraper.current.isScraping) {
+            sendResponse({ status: "already_running" });
+            return;
+        }
+        const scraper = new TikTokScraper(request.privacySetting, request.efficientScrolling, request);
+        BaseScraper.current = scraper;
+        console.log("Created Scraper with privacySetting:", scraper.privacySetting, "efficientScrolling:", scraper.efficientScrolling, "incremental:", scraper.incremental);
         scraper.scrape().then(() => sendResponse({ status: "done" }));
         return true; // async response
     }
 });
+
+// Offer to continue a run interrupted by a crash or reload of this page
+BaseScraper.offerResume("TikTok", (options) => new TikTokScraper(options.privacySetting, options.efficientScrolling, options));
@@ -3,6 +3,10 @@ import { initVideos, renderVideos } from "./modules/videos.js";
 import { initExport, updateLivePreview } from "./modules/export.js";
 import { initDelete, updateDeletePreview } from "./modules/delete.js";
 import { initImport } from "./modules/import.js";
+import { renderSessions } from "./modules/sessions.js";
+import { initQueue, renderQueue } from "./modules/queue.js";
+import { initRules } from "./modules/rules.js";
+import { initCreator } from "./modules/creator.js";
 
 // DOM Elements
 const statsTab = document.getElementById("tab-stats");
@@ -10,12 +14,16 @@ const videosTab = document.getElementById("tab-videos");
 const exportTab = document.getElementById("tab-export");
 const deleteTab = document.getElementById("tab-delete");
 const importTab = document.getElementById("tab-import");
+const sessionsTab = document.getElementById("tab-sessions");
+const queueTab = document.getElementById("tab-queue");
 
 const linkStats = document.getElementById("link-stats");
 const linkVideos = document.getElementById("link-videos");
 const linkExport = document.getElementById("link-export");
 const linkDelete = document.getElementById("link-delete");
 const linkImport = document.getElementById("link-import");
+const linkSessions = document.getElementById("link-sessions");
+const linkQueue = document.getElementById("link-queue");
 
 // Init
 async function init() {
@@ -39,6 +47,8 @@ async function loadTabs() {
         { id: "tab-export", file: "tabs/export.html" },
         { id: "tab-delete", file: "tabs/delete.html" },
         { id: "tab-import", file: "tabs/import.html" },
+        { id: "tab-sessions", file: "tabs/sessions.html" },
+        { id: "tab-queue", file: "tabs/queue.html" },
     ];
 
     const promises = tabs.map(async (tab) => {
@@ -62,6 +72,9 @@ function initUI() {
     initExport();
     initDelete();
     initImport();
+    initQueue();
+    initRules();
+    initCreator();
 }
 
 function setupNavigation() {
@@ -70,6 +83,8 @@ function setupNavigation() {
     if (linkExport) linkExport.addEventListener("click", () => showTab("export"));
     if (linkDelete) linkDelete.addEventListener("click", () => showTab("delete"));
     if (linkImport) linkImport.addEventListener("click", () => showTab("import"));
+    if (linkSessions) linkSessions.addEventListener("click", () => showTab("sessions"));
+    if (linkQueue) linkQueue.addEventListener("click", () => showTab("queue"));
 }
 
 function showTab(tabName) {
@@ -79,12 +94,16 @@ function showTab(tabName) {
     exportTab.style.display = "none";
     deleteTab.style.display = "none";
     importTab.style.display = "none";
+    sessionsTab.style.display = "none";
+    queueTab.style.display = "none";
 
     // Deactivate links
     linkStats.classList.remove("active");
     linkVideos.classList.remove("active");
     linkExport.classList.remove("active");
     linkImport.classList.remove("active");
+    linkSessions.classList.remove("active");
+    linkQueue.classList.remove("active");
     // linkDelete style is usually hardcoded but we can manage class if desired
 
     // Show active
@@ -106,6 +125,14 @@ function showTab(tabName) {
     } else if (tabName === "import") {
         importTab.style.display = "block";
         linkImport.classList.add("active");
+    } else if (tabName === "sessions") {
+        sessionsTab.style.display = "block";
+        linkSessions.classList.add("active");
+        renderSessions();
+    } else if (tabName === "queue") {
+        queueTab.style.display = "block";
+        linkQueue.classList.add("active");
+        renderQueue();
     }
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Creator Detail View
+ * Modal with the stored profile of a creator, opened from any element carrying data-creator
+ * (and optionally data-platform) in the Videos and Stats tabs.
+ */
+import { escapeHtml } from "./utils.js";
+
+export function initCreator() {
+    const modal = document.getElementById("creator-modal");
+    if (!modal) return;
+
+    modal.addEventListener("click", (e) => {
+        if (e.target === modal || e.target.id === "btn-creator-close") closeCreator();
+    });
+    document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") closeCreator();
+    });
+
+    document.addEventListener("click", (e) => {
+        const link = e.target.closest("[data-creator]");
+        if (link && link.dataset.creator) openCreator(link.dataset.creator, link.dataset.platform);
+    });
+}
+
+function closeCreator() {
+    const modal = document.getElementById("creator-modal");
+    if (modal) modal.style.display = "none";
+}
+
+function formatCount(value) {
+    return value != null ? Number(value).toLocaleString() : "-";
+}
+
+/**
+ * Shows a creator's profile, follower history and stored post count
+ * @param {string} userId
+ * @param {string} [platform] - Looked up by userId alone when missing
+ */
+export async function openCreator(userId, platform) {
+    const modal = document.getElementById("creator-modal");
+    const body = document.getElementById("creator-modal-body");
+    if (!modal || !body) return;
+
+    body.innerHTML = '<p style="color:#888;">Loading...</p>';
+    modal.style.display = "flex";
+
+    const user = await window.socialDB.getUser(platform, userId);
+    platform = platform || (user && user.platform) || "ALL";
+    const storedPosts = await window.socialDB.countMedia({ platform, userId });
+
+    const header = user
+        ? `
+        <div class="creator-header">
+            <img id="creator-avatar" class="creator-avatar" alt="">
+            <div>
+                <h2>${escapeHtml(user.displayName || user.userId)}${user.verified ? ' <span title="Verified" style="color:#00f2ea;">✔</span>' : ""}</h2>
+                <p style="color:#888; margin:4px 0 0 0;">@${escapeHtml(user.userId)} &bull; ${escapeHtml(user.platform)} &bull; Updated ${new Date(user.updatedAt).toLocaleString()}</p>
+            </div>
+        </div>
+        ${user.bio ? `<p class="creator-bio">${escapeHtml(user.bio)}</p>` : ""}`
+        : `
+        <div class="creator-header">
+            <div>
+                <h2>${escapeHtml(userId)}</h2>
+                <p style="color:#888; margin:4px 0 0 0;">No profile data yet, it is collected the next time the profile is scraped.</p>
+            </div>
+        </div>`;
+
+    const counters = [
+        ["Followers", user && user.followerCount],
+        ["Following", user && user.followingCount],
+        ["Likes", user && user.likeCount],
+        ["Posts", user && user.videoCount],
+        ["Stored Posts", storedPosts],
+    ];
+
+    body.innerHTML = `
+        ${header}
+        <div class="stats-grid" style="margin-top:20px;">
+            ${counters.map(([label, value]) => `<div class="stat-card"><h3>${label}</h3><p>${formatCount(value)}</p></div>`).join("")}
+        </div>
+        <h3 style="margin-top:24px;">Follower History</h3>
+        <div class="table-wrapper">
+            <table class="modern-table">
+                <thead><tr><th>Date</th><th>Followers</th><th>Change</th><th>Following</th><th>Likes</th></tr></thead>
+                <tbody>${renderHistoryRows(user)}</tbody>
+            </table>
+        </div>
+        <div style="margin-top:20px; text-align:right;">
+            <button id="btn-creator-videos" class="btn primary">Show Videos</button>
+        </div>
+    `;
+
+    if (user && user.avatarUrl) loadAvatar(document.getElementById("creator-avatar"), user.avatarUrl);
+
+    document.getElementById("btn-creator-videos").addEventListener("click", () => {
+        const filterUser = document.getElementById("filter-user");
+        const filterPlatform = document.getElementById("filter-platform");
+        if (filterUser) filterUser.value = userId;
+        if (filterPlatform && platform !== "ALL") filterPlatform.value = platform;
+        closeCreator();
+        document.getElementById("link-videos").click();
+    });
+}
+
+/**
+ * Follower history rows, newest first, with the change since the previous sample
+ */
+function renderHistoryRows(user) {
+    const history = (user && user.followerHistory) || [];
+    if (history.length === 0) return '<tr><td colspan="5" style="text-align:center; color:#888;">No samples yet</td></tr>';
+
+    return history
+        .map((sample, i) => {
+            const previous = history[i - 1];
+            const change = previous && sample.followers != null && previous.followers != null ? sample.followers - previous.followers : null;
+            const changeCell = change == null ? "-" : `<span style="color:${change < 0 ? "#ff0050" : "#10B981"}">${change > 0 ? "+" : ""}${change.toLocaleString()}</span>`;
+            return `<tr><td>${new Date(sample.at).toLocaleString()}</td><td>${formatCount(sample.followers)}</td><td>${changeCell}</td><td>${formatCount(sample.following)}</td><td>${formatCount(sample.likes)}</td></tr>`;
+        })
+        .reverse()
+        .join("");
+}
+
+/**
+ * Shows the cached avatar, falling back to the (possibly expired) original URL
+ */
+async function loadAvatar(img, url) {
+    if (!img) return;
+    try {
+        const cached = await window.socialDB.getThumbnail(url);
+        img.src = cached && cached.blob ? URL.createObjectURL(cached.blob) : url;
+    } catch (_) {
+        img.src = url;
+    }
+}
@@ -123,9 +123,7 @@ export function initDelete() {
 
                         for (const media of batch) {
                             mediaIds.push(media.id);
-                            if (media.thumbnailUrl && !media.thumbnailUrl.startsWith("data:")) {
-                                thumbnailUrls.push(media.thumbnailUrl);
-                            }
+                            thumbnailUrls.push(...MediaUtils.getThumbnailUrls(media));
                         }
                     }
 
@@ -239,14 +237,17 @@ async function backupToFolder(dirHandle, criteria, updateProgress) {
             await writable.write(JSON.stringify(media, null, 2));
             firstItem = false;
 
-            if (media.thumbnailUrl && !media.thumbnailUrl.startsWith("data:")) {
+            // Cover plus photo-mode slides (saved as <name>_slide<n>)
+            const imageUrls = MediaUtils.getThumbnailUrls(media);
+            for (let j = 0; j < imageUrls.length; j++) {
+                const url = imageUrls[j];
                 try {
-                    const cached = await window.socialDB.getThumbnail(media.thumbnailUrl);
+                    const cached = await window.socialDB.getThumbnail(url);
                     let blob = null;
                     if (cached && cached.blob) {
                         blob = cached.blob;
                     } else {
-                        const resp = await fetch(media.thumbnailUrl);
+                        const resp = await fetch(url);
                         if (resp.ok) blob = await resp.blob();
                     }
 
@@ -256,7 +257,8 @@ async function backupToFolder(dirHandle, criteria, updateProgress) {
 
                         const safeUserId = sanitizeFilename(media.userId || "unknown");
                         const safeId = sanitizeFilename(media.id || "unknown");
-                        const filename = `${sanitizeFilename(media.platform)}_${safeUserId}_${safeId}.${ext}`;
+                        const suffix = j === 0 ? "" : `_slide${j}`;
+                        const filename = `${sanitizeFilename(media.platform)}_${safeUserId}_${safeId}${suffix}.${ext}`;
 
                         const imgFileHandle = await imagesHandle.getFileHandle(filename, { create: true });
                         const imgWritable = await imgFileHandle.createWritable();
@@ -264,9 +266,9 @@ async function backupToFolder(dirHandle, criteria, updateProgress) {
                         await imgWritable.close();
                     }
                 } catch (e) {
-                    console.warn("Failed to backup image:", media.thumbnailUrl, e);
+                    console.warn("Failed to backup image:", url, e);
                 }
-                thumbnailUrls.push(media.thumbnailUrl);
+                thumbnailUrls.push(url);
             }
 
             mediaIds.push(media.id);
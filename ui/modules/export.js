@@ -3,13 +3,13 @@
  */
 
 import { newOnlyModeState, currentExportMode, setCurrentExportMode } from "./state.js";
-import { formatColumnName, downloadFile, generateExportFilename, sanitizeFilename } from "./utils.js";
+import { formatColumnName, downloadFile, generateExportFilename, sanitizeFilename, escapeHtml } from "./utils.js";
 
 export function initExport() {
     setupExportTabs();
 
     // Live Preview Triggers
-    const previewTriggers = ["export-platform", "export-user", "export-date-start", "export-date-end", "export-new-only", "export-new-only-global"];
+    const previewTriggers = ["export-platform", "export-user", "export-date-field", "export-date-start", "export-date-end", "export-new-only", "export-new-only-global"];
     previewTriggers.forEach((id) => {
         const el = document.getElementById(id);
         if (el) el.addEventListener("change", updateLivePreview);
@@ -136,6 +136,7 @@ export function updateExportUI() {
         thumbnails: document.getElementById("opt-thumbnails"),
         db: document.getElementById("opt-db"),
         csv: document.getElementById("opt-csv"),
+        comments: document.getElementById("opt-comments"),
     };
 
     const set = (el, show) => {
@@ -200,6 +201,15 @@ export function updateExportUI() {
             set(opts.csv, true);
             set(groups.newOnly, true);
             break;
+        case "comments":
+            if (title) title.textContent = "Export Comments";
+            if (updateBtn) updateBtn.textContent = "Export Comments";
+            set(groups.platform, false);
+            set(groups.user, true);
+            set(groups.date, false);
+            set(opts.comments, true);
+            set(groups.newOnly, false);
+            break;
     }
 
     const previewCard = document.getElementById("export-preview-card");
@@ -255,9 +265,12 @@ export async function updateLivePreview() {
                 result.items.forEach((item) => {
                     const rowCells = rawCols.map((col) => {
                         let val = item[col];
-                        if (col === "videoId" && !val) val = item.id;
-                        val = val || "";
-                        if (col === "scrapedAt") val = new Date(val).toLocaleString();
+                        if (col === "videoId") val = MediaUtils.getVideoId(item);
+                        if (Array.isArray(val)) val = val.join(", ");
+                        if (val == null) val = ""; // Keep 0 counters
+                        if (col === "postedAt") val = MediaUtils.getPostedAt(item) || "";
+                        if ((col === "scrapedAt" || col === "postedAt") && val) val = new Date(val).toLocaleString();
+                        val = escapeHtml(val);
                         return `<td title="${val}">${val}</td>`;
                     });
                     rows.push(rowCells);
@@ -294,6 +307,7 @@ function getActiveFilters() {
     const uEl = document.getElementById("export-user");
     const startEl = document.getElementById("export-date-start");
     const endEl = document.getElementById("export-date-end");
+    const fieldEl = document.getElementById("export-date-field");
 
     const p = pEl ? pEl.value : "ALL";
     const u = uEl ? uEl.value : "ALL";
@@ -325,6 +339,7 @@ function getActiveFilters() {
         userId: u,
         startDate: sTime,
         endDate: eTime,
+        dateField: fieldEl ? fieldEl.value : "scrapedAt",
         newOnly: newOnlyModeState[currentExportMode] || false,
         excludeMask: excludeMask,
     };
@@ -394,6 +409,9 @@ async function handleExportAction() {
             case "csv":
                 await exportCSV(filters);
                 break;
+            case "comments":
+                await exportComments(filters);
+                break;
         }
 
         if (!filters.newOnly) {
@@ -468,9 +486,11 @@ async function exportCSV(filters) {
             return columns
                 .map((col) => {
                     let val = m[col];
-                    if (col === "videoId" && !val) val = m.id;
-                    val = val || "";
-                    if (col === "scrapedAt") val = new Date(val).toISOString();
+                    if (col === "videoId") val = MediaUtils.getVideoId(m);
+                    if (Array.isArray(val)) val = val.join(", ");
+                    if (val == null) val = ""; // Keep 0 counters
+                    if (col === "postedAt") val = MediaUtils.getPostedAt(m) || "";
+                    if ((col === "scrapedAt" || col === "postedAt") && val) val = new Date(val).toISOString();
                     const str = String(val).replace(/"/g, '""');
                     return `"${str}"`;
                 })
@@ -490,6 +510,47 @@ async function exportCSV(filters) {
     await window.socialDB.markAsExported(ids, flags);
 }
 
+/**
+ * Comments as JSON threads (replies nested under their top-level comment) or flat CSV rows
+ */
+async function exportComments(filters) {
+    const comments = await window.socialDB.getComments({ mediaUserId: filters.userId });
+    if (comments.length === 0) throw new Error("No comments found.");
+
+    const format = document.getElementById("comments-format").value;
+    const date = new Date().toISOString().split("T")[0];
+
+    if (format === "csv") {
+        const columns = ["mediaId", "commentId", "parentId", "replyToId", "author", "authorName", "text", "likeCount", "replyCount", "postedAt", "scrapedAt"];
+        const rows = comments.map((c) =>
+            columns
+                .map((col) => {
+                    let val = c[col] == null ? "" : c[col];
+                    if ((col === "postedAt" || col === "scrapedAt") && val) val = new Date(val).toISOString();
+                    return `"${String(val).replace(/"/g, '""')}"`;
+                })
+                .join(","),
+        );
+        downloadFile(columns.join(",") + "\n" + rows.join("\n"), `Comments_${date}.csv`, "text/csv");
+        return;
+    }
+
+    // getComments lists each top-level comment before its replies
+    const threads = [];
+    const byId = new Map();
+    comments.forEach((c) => {
+        const parent = c.parentId ? byId.get(`${c.mediaId}:${c.parentId}`) : null;
+        if (parent) {
+            parent.replies.push(c);
+        } else {
+            const thread = { ...c, replies: [] };
+            byId.set(c.id, thread);
+            threads.push(thread);
+        }
+    });
+    downloadFile(JSON.stringify(threads, null, 2), `Comments_${date}.json`, "application/json");
+}
+
 async function exportThumbnails(filters, progressCallback) {
     progressCallback("Querying DB...");
     const result = await window.socialDB.queryMedia(filters, 0, 100000);
@@ -526,27 +587,35 @@ async function exportThumbnails(filters, progressCallback) {
 
     for (let i = 0; i < total; i++) {
         const item = result.items[i];
-        if (!item.thumbnailUrl) continue;
+        // Photo posts can have slides without a cover
+        const urls = MediaUtils.getThumbnailUrls(item);
+        if (urls.length === 0) continue;
 
         try {
-            const cached = await window.socialDB.getThumbnail(item.thumbnailUrl);
-            let blob = null;
-            if (cached && cached.blob) {
-                blob = cached.blob;
-            } else {
-                continue;
-            }
+            const baseName = `${sanitizeFilename(item.platform)}/${sanitizeFilename(item.userId)}/${sanitizeFilename(item.videoId || String(i))}`;
+            const slideOffset = urls[0] === item.thumbnailUrl ? 0 : 1; // Slide numbers stay the same with or without a cover
+            let zipped = 0;
 
-            let ext = "jpg";
-            if (blob.type === "image/webp") ext = "webp";
-            else if (blob.type === "image/png") ext = "png";
+            // Cover first, photo-mode slides follow as <id>_slide<n>
+            for (let j = 0; j < urls.length; j++) {
+                const cached = await window.socialDB.getThumbnail(urls[j]);
+                if (!cached || !cached.blob) continue;
+                const blob = cached.blob;
 
-            const filename = `${sanitizeFilename(item.platform)}/${sanitizeFilename(item.userId)}/${sanitizeFilename(item.videoId || String(i))}.${ext}`;
-            currentZip.file(filename, blob);
+                let ext = "jpg";
+                if (blob.type === "image/webp") ext = "webp";
+                else if (blob.type === "image/png") ext = "png";
+
+                const slide = j + slideOffset;
+                const filename = slide === 0 ? `${baseName}.${ext}` : `${baseName}_slide${slide}.${ext}`;
+                currentZip.file(filename, blob);
+                currentSize += blob.size;
+                zipped++;
+            }
+            if (zipped === 0) continue;
 
             mediaIds.push(item.id);
             currentCount++;
-            currentSize += blob.size;
 
             progressCallback(`Zipping... ${i + 1}/${total}`);
 
@@ -683,9 +752,7 @@ async function exportSnapshot(progressCallback) {
     const thumbUrlsToFetch = new Set();
 
     mediaItems.forEach((m) => {
-        if (m.thumbnailUrl && !m.thumbnailUrl.startsWith("data:")) {
-            thumbUrlsToFetch.add(m.thumbnailUrl);
-        }
+        MediaUtils.getThumbnailUrls(m).forEach((url) => thumbUrlsToFetch.add(url));
     });
 
     const totalThumbsToFetch = thumbUrlsToFetch.size;
@@ -0,0 +1,141 @@
+/**
+ * Scrape Queue Tab Logic
+ * The queue and the watchlist live in the background worker, this tab only sends commands and renders their stored state.
+ */
+import { escapeHtml } from "./utils.js";
+
+const SCRAPE_QUEUE_KEY = "scrape_queue_state";
+const WATCHLIST_KEY = "watchlist_state";
+const INTERVAL_LABELS = { 6: "6 hours", 12: "12 hours", 24: "Day", 168: "Week" };
+
+export function initQueue() {
+    const addBtn = document.getElementById("btn-queue-add");
+    if (!addBtn) return;
+
+    addBtn.addEventListener("click", async () => {
+        const input = document.getElementById("queue-input");
+        const status = document.getElementById("queue-add-status");
+        const entries = input.value.split(/\r?\n/);
+        const platform = document.getElementById("queue-platform").value;
+
+        const result = await chrome.runtime.sendMessage({ action: "QUEUE_ADD", entries, platform });
+        status.textContent = `Added ${result.added} profile(s).` + (result.invalid.length ? ` Skipped ${result.invalid.length} unrecognized line(s): ${result.invalid.join(", ")}` : "");
+        if (result.invalid.length === 0) input.value = "";
+    });
+
+    document.getElementById("btn-queue-start").addEventListener("click", () => {
+        const seconds = parseInt(document.getElementById("queue-delay").value, 10);
+        chrome.runtime.sendMessage({ action: "QUEUE_START", delayMs: Math.max(0, isNaN(seconds) ? 30 : seconds) * 1000 });
+    });
+    document.getElementById("btn-queue-stop").addEventListener("click", () => chrome.runtime.sendMessage({ action: "QUEUE_STOP" }));
+    document.getElementById("btn-queue-clear-done").addEventListener("click", () => chrome.runtime.sendMessage({ action: "QUEUE_CLEAR", all: false }));
+    document.getElementById("btn-queue-clear-all").addEventListener("click", () => {
+        if (confirm("Remove every pending profile from the queue?")) chrome.runtime.sendMessage({ action: "QUEUE_CLEAR", all: true });
+    });
+
+    document.getElementById("btn-watch-add").addEventListener("click", async () => {
+        const input = document.getElementById("queue-input");
+        const status = document.getElementById("queue-add-status");
+        const entries = input.value.split(/\r?\n/);
+        const platform = document.getElementById("queue-platform").value;
+        const intervalHours = parseInt(document.getElementById("watch-interval").value, 10);
+
+        const result = await chrome.runtime.sendMessage({ action: "WATCHLIST_ADD", entries, platform, intervalHours });
+        status.textContent = `Watching ${result.added} new profile(s).` + (result.invalid.length ? ` Skipped ${result.invalid.length} unrecognized line(s): ${result.invalid.join(", ")}` : "");
+        if (result.invalid.length === 0) input.value = "";
+    });
+
+    // Row buttons
+    document.getElementById("watch-table").addEventListener("click", (e) => {
+        const btn = e.target.closest("button[data-id]");
+        if (!btn) return;
+        const id = btn.getAttribute("data-id");
+
+        if (btn.classList.contains("btn-watch-run")) {
+            chrome.runtime.sendMessage({ action: "WATCHLIST_RUN_NOW", id });
+        } else if (btn.classList.contains("btn-watch-toggle")) {
+            chrome.runtime.sendMessage({ action: "WATCHLIST_UPDATE", id, changes: { enabled: btn.getAttribute("data-enabled") !== "true" } });
+        } else if (btn.classList.contains("btn-watch-remove")) {
+            chrome.runtime.sendMessage({ action: "WATCHLIST_REMOVE", id });
+        }
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace !== "local") return;
+        if (changes[SCRAPE_QUEUE_KEY]) renderQueueState(changes[SCRAPE_QUEUE_KEY].newValue);
+        if (changes[WATCHLIST_KEY]) renderWatchlist(changes[WATCHLIST_KEY].newValue);
+    });
+}
+
+export function renderQueue() {
+    chrome.storage.local.get([SCRAPE_QUEUE_KEY, WATCHLIST_KEY], (result) => {
+        const state = result[SCRAPE_QUEUE_KEY];
+        if (state && state.delayMs != null) document.getElementById("queue-delay").value = Math.round(state.delayMs / 1000);
+        renderQueueState(state);
+        renderWatchlist(result[WATCHLIST_KEY]);
+    });
+}
+
+function renderQueueState(state) {
+    const table = document.getElementById("queue-table");
+    if (!table) return;
+
+    const items = (state && state.items) || [];
+    const running = state && state.status === "RUNNING";
+    const remaining = items.filter((i) => i.status === "PENDING" || i.status === "RUNNING").length;
+
+    document.getElementById("queue-status").textContent = running ? `(running, ${remaining} left)` : `(${remaining} pending)`;
+    document.getElementById("btn-queue-start").disabled = running || remaining === 0;
+    document.getElementById("btn-queue-stop").disabled = !running;
+
+    const tbody = table.querySelector("tbody");
+    tbody.innerHTML = "";
+    if (items.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:#888;">Queue is empty</td></tr>';
+        return;
+    }
+
+    items.forEach((item) => {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+            <td>${escapeHtml(item.platform)}</td>
+            <td title="${escapeHtml(item.url)}">${escapeHtml(item.label)}</td>
+            <td title="${escapeHtml(item.error || "")}">${escapeHtml(item.status)}</td>
+            <td>${item.finishedAt ? new Date(item.finishedAt).toLocaleString() : "-"}</td>
+            <td>${item.newItems != null ? item.newItems : "-"}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
+
+function renderWatchlist(watchlist) {
+    const table = document.getElementById("watch-table");
+    if (!table) return;
+
+    const profiles = (watchlist && watchlist.profiles) || [];
+    const tbody = table.querySelector("tbody");
+    tbody.innerHTML = "";
+    if (profiles.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; color:#888;">No watched profiles</td></tr>';
+        return;
+    }
+
+    profiles.forEach((p) => {
+        const tr = document.createElement("tr");
+        const id = escapeHtml(p.id);
+        tr.innerHTML = `
+            <td>${escapeHtml(p.platform)}</td>
+            <td title="${escapeHtml(p.url)}">${escapeHtml(p.label)}</td>
+            <td>${INTERVAL_LABELS[p.intervalHours] || `${p.intervalHours}h`}</td>
+            <td title="${escapeHtml(p.lastStatus || "")}">${p.lastRunAt ? new Date(p.lastRunAt).toLocaleString() : "Never"}</td>
+            <td>${p.lastNewItems != null ? p.lastNewItems : "-"}</td>
+            <td>${p.enabled ? new Date(p.nextRunAt).toLocaleString() : "Paused"}</td>
+            <td style="white-space: nowrap;">
+                <button class="btn secondary btn-watch-run" data-id="${id}">Run Now</button>
+                <button class="btn secondary btn-watch-toggle" data-id="${id}" data-enabled="${p.enabled}">${p.enabled ? "Pause" : "Resume"}</button>
+                <button class="btn secondary btn-watch-remove" data-id="${id}">Remove</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
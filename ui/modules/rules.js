@@ -0,0 +1,102 @@
+/**
+ * Scraper Rules Logic (Import tab)
+ * Imported rule sets are stored by ScraperRules (scrapers/scraper_rules.js) and picked up on the next scrape.
+ */
+import { escapeHtml } from "./utils.js";
+
+const PLATFORMS = ["TikTok", "Instagram", "Facebook"];
+
+export function initRules() {
+    const table = document.getElementById("rules-table");
+    if (!table) return;
+
+    const input = document.getElementById("rules-input");
+    const fileInput = document.getElementById("rules-file-input");
+
+    document.getElementById("btn-rules-defaults").addEventListener("click", () => {
+        // A starting point for edits: the built-in sets in the import format
+        input.value = JSON.stringify(ScraperRules.DEFAULTS, null, 2);
+        setStatus("Built-in rules loaded into the editor. Raise the version of the sets you change before importing.");
+    });
+
+    document.getElementById("btn-rules-file").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        input.value = await file.text();
+        fileInput.value = "";
+        setStatus(`Loaded ${file.name}, press Import Rules to apply it.`);
+    });
+
+    document.getElementById("btn-rules-import").addEventListener("click", async () => {
+        let json;
+        try {
+            json = JSON.parse(input.value);
+        } catch (e) {
+            setStatus(`Not valid JSON: ${e.message}`, true);
+            return;
+        }
+
+        const errors = ScraperRules.validate(json);
+        if (errors.length > 0) {
+            setStatus(errors.join(" / "), true);
+            return;
+        }
+
+        await ScraperRules.importRules(json);
+        setStatus(`Imported rules for ${Object.keys(json).join(", ")}. They apply from the next scrape.`);
+        renderRules();
+    });
+
+    table.addEventListener("click", async (e) => {
+        const btn = e.target.closest(".btn-rules-reset");
+        if (!btn) return;
+        await ScraperRules.resetRules(btn.getAttribute("data-platform"));
+        setStatus(`${btn.getAttribute("data-platform")} is back on its built-in rules.`);
+        renderRules();
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === "local" && changes[ScraperRules.SELF_TEST_KEY]) renderRules();
+    });
+
+    renderRules();
+}
+
+function setStatus(text, isError = false) {
+    const status = document.getElementById("rules-status");
+    status.textContent = text;
+    status.style.color = isError ? "#ff0050" : "";
+}
+
+async function renderRules() {
+    const tbody = document.querySelector("#rules-table tbody");
+    if (!tbody) return;
+
+    const selfTests = await new Promise((resolve) => chrome.storage.local.get([ScraperRules.SELF_TEST_KEY], (r) => resolve(r[ScraperRules.SELF_TEST_KEY] || {})));
+    const sets = await Promise.all(PLATFORMS.map((platform) => ScraperRules.load(platform)));
+
+    tbody.innerHTML = "";
+    PLATFORMS.forEach((platform, i) => {
+        const set = sets[i];
+        const test = selfTests[platform];
+
+        let testCell = '<span style="color:#888;">Not run yet</span>';
+        if (test) {
+            const when = new Date(test.testedAt).toLocaleString();
+            const counts = escapeHtml(JSON.stringify(test.counts));
+            testCell = test.failing.length
+                ? `<span style="color:#ff0050;" title="${counts}">No matches for ${escapeHtml(test.failing.join(", "))}</span> <small>(${when}, v${test.version})</small>`
+                : `<span style="color:#10B981;" title="${counts}">Passed</span> <small>(${when}, v${test.version})</small>`;
+        }
+
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+            <td>${platform}</td>
+            <td>v${set.version} (${set.source === "imported" ? "imported" : "built-in"})</td>
+            <td>${testCell}</td>
+            <td>${set.source === "imported" ? `<button class="btn btn-secondary btn-rules-reset" data-platform="${platform}">Reset</button>` : ""}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
@@ -0,0 +1,88 @@
+/**
+ * Sessions Tab Logic
+ */
+import { escapeHtml, formatSource } from "./utils.js";
+
+export async function renderSessions() {
+    const targetsTable = document.getElementById("sessions-targets-table");
+    const historyTable = document.getElementById("sessions-history-table");
+    if (!targetsTable || !historyTable) return;
+
+    const sessions = await window.socialDB.getSessions();
+    renderTargets(targetsTable.querySelector("tbody"), sessions);
+    renderHistory(historyTable.querySelector("tbody"), sessions);
+}
+
+/**
+ * Label for what a session scraped: the user, else the hashtag/sound/search source
+ */
+function getTargetLabel(session) {
+    if (session.userId) return session.userId;
+    if (session.source) return formatSource(session.source);
+    return "Unknown";
+}
+
+function formatDuration(ms) {
+    if (ms == null) return "-";
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function renderTargets(tbody, sessions) {
+    // Sessions are newest first, so the first one seen per target is its last run
+    const targets = new Map();
+    sessions.forEach((s) => {
+        const key = `${s.platform}|${s.userId || s.source || ""}`;
+        if (!targets.has(key)) targets.set(key, { last: s, runs: 0 });
+        targets.get(key).runs++;
+    });
+
+    tbody.innerHTML = "";
+    if (targets.size === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:#888;">No scrapes recorded yet</td></tr>';
+        return;
+    }
+
+    targets.forEach(({ last, runs }) => {
+        const tr = document.createElement("tr");
+        const lastDate = new Date(last.endedAt || last.startedAt).toLocaleString();
+        tr.innerHTML = `
+            <td>${escapeHtml(last.platform)}</td>
+            <td title="${escapeHtml(last.url)}">${escapeHtml(getTargetLabel(last))}</td>
+            <td>${lastDate}</td>
+            <td>${runs}</td>
+            <td>${last.newItems != null ? last.newItems : "-"}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
+
+function renderHistory(tbody, sessions) {
+    tbody.innerHTML = "";
+    if (sessions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" style="text-align:center; color:#888;">No scrapes recorded yet</td></tr>';
+        return;
+    }
+
+    const statusColors = { COMPLETED: "#10B981", STOPPED: "#ffcc00", ERROR: "#ff0050", RUNNING: "#00f2ea" };
+
+    sessions.forEach((s) => {
+        const tr = document.createElement("tr");
+        const status = s.status;
+        // A run whose tab was closed or reloaded never finishes and stays RUNNING
+        const detail = s.error || s.endReason || (status === "RUNNING" ? "Running, or interrupted before finishing" : "");
+        tr.innerHTML = `
+            <td>${new Date(s.startedAt).toLocaleString()}</td>
+            <td>${escapeHtml(s.platform)}</td>
+            <td title="${escapeHtml(s.url)}">${escapeHtml(getTargetLabel(s))}</td>
+            <td>${formatDuration(s.durationMs)}</td>
+            <td>${s.found != null ? s.found : "-"}</td>
+            <td>${s.newItems != null ? s.newItems : "-"}</td>
+            <td>${s.scrolls != null ? s.scrolls : "-"}</td>
+            <td>${escapeHtml(s.mode || "Full")}</td>
+            <td title="${escapeHtml(detail)}" style="color:${statusColors[status] || "#888"}">${status}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
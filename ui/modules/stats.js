@@ -1,6 +1,7 @@
 /**
  * Stats Tab Logic
  */
+import { escapeHtml, formatSource } from "./utils.js";
 
 const _STATS_KEY = "socialScraper_detailed_stats";
 const _CALC_STATUS_KEY = "socialScraper_calc_status";
@@ -66,6 +67,7 @@ function updateSizeDisplay(detailed) {
     // Update top user with actual byte size from detailed stats
     if (detailed.topUser && detailed.topUser.size > 0) {
         set("stat-top-user", detailed.topUser.userId);
+        setTopUserLink(detailed.topUser.userId);
         set("stat-top-user-size", `Size: ${formatSize(detailed.topUser.size)}`);
     }
 }
@@ -96,6 +98,7 @@ export async function renderStats() {
     elVideos.textContent = totalVideos;
     document.getElementById("stat-total-users").textContent = users;
     document.getElementById("stat-last-active").textContent = lastScrape;
+    document.getElementById("stat-missing-videos").textContent = stats.counts.missingVideos || 0;
 
     // Populate User Filter
     const userList = await window.socialDB.getUniqueUsers();
@@ -103,20 +106,70 @@ export async function renderStats() {
     populateSelect("export-user", userList);
     populateSelect("delete-user", userList);
 
+    const sourceList = await window.socialDB.getUniqueSources();
+    populateSelect("filter-source", sourceList, "All Sources", formatSource);
+
     // Sync button state with current background process
     checkCacheStatus();
     renderStorageStats();
+    renderCreators();
+}
+
+/**
+ * Makes the Top User card open the creator detail view
+ */
+function setTopUserLink(userId) {
+    const el = document.getElementById("stat-top-user");
+    if (el) el.dataset.creator = userId;
+}
+
+/**
+ * Lists the creators with stored profile data, most followed first
+ */
+async function renderCreators() {
+    const table = document.getElementById("creators-table");
+    if (!table) return;
+    const tbody = table.querySelector("tbody");
+
+    const users = await window.socialDB.getAll("users");
+    users.sort((a, b) => (b.followerCount || 0) - (a.followerCount || 0));
+
+    tbody.innerHTML = "";
+    if (users.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; color:#888;">No profiles scraped yet</td></tr>';
+        return;
+    }
+
+    users.forEach((u) => {
+        // Change since the first recorded sample
+        const history = u.followerHistory || [];
+        const first = history.find((s) => s.followers != null);
+        const change = first && u.followerCount != null && history.length > 1 ? u.followerCount - first.followers : null;
+
+        const tr = document.createElement("tr");
+        tr.className = "creator-link";
+        tr.dataset.creator = u.userId;
+        tr.dataset.platform = u.platform;
+        tr.innerHTML = `
+            <td>${escapeHtml(u.displayName || u.userId)}${u.verified ? ' <span style="color:#00f2ea;">✔</span>' : ""} <span style="color:#888;">@${escapeHtml(u.userId)}</span></td>
+            <td>${escapeHtml(u.platform)}</td>
+            <td>${u.followerCount != null ? u.followerCount.toLocaleString() : "-"}</td>
+            <td>${change != null ? `${change > 0 ? "+" : ""}${change.toLocaleString()}` : "-"}</td>
+            <td>${new Date(u.updatedAt).toLocaleString()}</td>
+        `;
+        tbody.appendChild(tr);
+    });
 }
 
-function populateSelect(id, userList) {
+function populateSelect(id, userList, allLabel = "All Users", formatLabel = (u) => u) {
     const select = document.getElementById(id);
     if (!select) return;
     const current = select.value;
-    select.innerHTML = '<option value="ALL">All Users</option>';
+    select.innerHTML = `<option value="ALL">${allLabel}</option>`;
     userList.forEach((u) => {
         const opt = document.createElement("option");
         opt.value = u;
-        opt.textContent = u;
+        opt.textContent = formatLabel(u);
         select.appendChild(opt);
     });
     if (current && (userList.includes(current) || current === "ALL")) select.value = current;
@@ -260,6 +313,7 @@ export async function renderStorageStats() {
 
         // Top user: show size if available from detailed stats, otherwise show item count
         set("stat-top-user", stats.topUser.userId !== "None" ? stats.topUser.userId : "-");
+        setTopUserLink(stats.topUser.userId !== "None" ? stats.topUser.userId : "");
         if (stats.topUser.size != null && stats.topUser.size > 0) {
             set("stat-top-user-size", `Size: ${formatSize(stats.topUser.size)}`);
         } else if (stats.topUser.count != null) {
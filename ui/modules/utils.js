@@ -6,14 +6,45 @@ export function formatColumnName(col) {
     const map = {
         originalUrl: "Video URL",
         scrapedAt: "Date Scraped",
+        postedAt: "Date Posted",
         userId: "Username",
         platform: "Platform",
         videoId: "Video ID",
         thumbnailUrl: "Thumbnail URL",
+        images: "Slide Images",
+        description: "Description",
+        hashtags: "Hashtags",
+        mentions: "Mentions",
+        viewCount: "Views",
+        likeCount: "Likes",
+        commentCount: "Comments",
+        shareCount: "Shares",
+        sources: "Sources",
     };
     return map[col] || col;
 }
 
+const TIKTOK_FEED_LABELS = { foryou: "For You", following: "Following", friends: "Friends", explore: "Explore" };
+
+/**
+ * Readable label for a "type:value" source context, e.g. "hashtag:cats" -> "#cats"
+ */
+export function formatSource(source) {
+    const sep = source.indexOf(":");
+    const type = source.slice(0, sep);
+    const value = source.slice(sep + 1);
+    if (type === "hashtag") return `#${value}`;
+    if (type === "sound") return `Sound ${value}`;
+    if (type === "search") return `Search "${value}"`;
+    if (type === "feed") return `Feed: ${TIKTOK_FEED_LABELS[value] || value}`;
+    if (type === "collection") return `Collection ${value.replace(/-\d+$/, "")}`;
+    if (type === "comments") return `Comments on ${value}`;
+    if (type === "liked") return `Liked by @${value}`;
+    if (type === "favorites") return `Favorites of @${value}`;
+    if (type === "reposts") return `Reposted by @${value}`;
+    return source;
+}
+
 export function downloadFile(content, filename, type) {
     const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
@@ -62,3 +93,16 @@ export function sanitizeFilename(str) {
             .replace(/^_|_$/g, "") || "unknown"
     );
 }
+
+/**
+ * Escape text for safe interpolation into innerHTML templates.
+ * Scraped captions and bios are free text controlled by third parties.
+ */
+export function escapeHtml(str) {
+    return String(str == null ? "" : str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
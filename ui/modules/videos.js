@@ -1,7 +1,7 @@
 /**
  * Videos Tab Logic
  */
-import { showPlaceholder } from "./utils.js";
+import { escapeHtml, showPlaceholder } from "./utils.js";
 
 let currentCriteria = {};
 let currentPage = 0;
@@ -22,6 +22,13 @@ export function initVideos() {
                         payload: { url: url },
                     });
                 }
+            } else if (e.target.classList.contains("btn-comments")) {
+                const url = e.target.getAttribute("data-url");
+                chrome.runtime.sendMessage({ action: "SCRAPE_COMMENTS", urls: [url] }, (response) => {
+                    if (chrome.runtime.lastError || !response || !response.success) return;
+                    e.target.textContent = response.added > 0 ? "Queued" : "In Queue";
+                    e.target.disabled = true;
+                });
             }
         });
     }
@@ -30,11 +37,45 @@ export function initVideos() {
 function setupFilters() {
     const filterPlatform = document.getElementById("filter-platform");
     const filterUser = document.getElementById("filter-user");
+    const filterSource = document.getElementById("filter-source");
     const filterNewOnly = document.getElementById("filter-new-only");
+    const filterMissingOnly = document.getElementById("filter-missing-only");
 
     if (filterPlatform) filterPlatform.addEventListener("change", () => renderVideos());
     if (filterUser) filterUser.addEventListener("change", () => renderVideos());
+    if (filterSource) filterSource.addEventListener("change", () => renderVideos());
     if (filterNewOnly) filterNewOnly.addEventListener("change", () => renderVideos());
+    if (filterMissingOnly) filterMissingOnly.addEventListener("change", () => renderVideos());
+
+    const clearNewBtn = document.getElementById("btn-clear-new");
+    if (clearNewBtn) {
+        clearNewBtn.addEventListener("click", async () => {
+            const cleared = await window.socialDB.clearNewFlags();
+            console.log(`[Videos] Cleared new flag on ${cleared} items`);
+            renderVideos();
+        });
+    }
+
+    ["filter-date-field", "filter-date-start", "filter-date-end"].forEach((id) => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener("change", () => renderVideos());
+    });
+}
+
+/**
+ * Reads the date range inputs as an inclusive { startDate, endDate, dateField } criteria
+ */
+function getDateCriteria() {
+    const fieldEl = document.getElementById("filter-date-field");
+    const startEl = document.getElementById("filter-date-start");
+    const endEl = document.getElementById("filter-date-end");
+
+    const criteria = { dateField: fieldEl ? fieldEl.value : "scrapedAt", startDate: null, endDate: null };
+
+    if (startEl && startEl.value) criteria.startDate = new Date(startEl.value).setHours(0, 0, 0, 0);
+    if (endEl && endEl.value) criteria.endDate = new Date(endEl.value).setHours(23, 59, 59, 999);
+
+    return criteria;
 }
 
 export async function renderVideos(reset = true) {
@@ -43,7 +84,9 @@ export async function renderVideos(reset = true) {
 
     const filterPlatform = document.getElementById("filter-platform");
     const filterUser = document.getElementById("filter-user");
+    const filterSource = document.getElementById("filter-source");
     const filterNewOnly = document.getElementById("filter-new-only");
+    const filterMissingOnly = document.getElementById("filter-missing-only");
 
     if (reset) {
         grid.innerHTML = "";
@@ -52,7 +95,10 @@ export async function renderVideos(reset = true) {
         currentCriteria = {
             platform: filterPlatform ? filterPlatform.value : "ALL",
             userId: filterUser ? filterUser.value : "ALL",
+            source: filterSource ? filterSource.value : "ALL",
             newOnly: filterNewOnly ? filterNewOnly.checked : false,
+            missingOnly: filterMissingOnly ? filterMissingOnly.checked : false,
+            ...getDateCriteria(),
         };
 
         updateVideoStatsHeader(currentCriteria);
@@ -63,8 +109,12 @@ export async function renderVideos(reset = true) {
 
     const batch = result.items;
 
-    // Optional sort by scrapedAt descending
-    batch.sort((a, b) => b.scrapedAt - a.scrapedAt);
+    // Optional sort by the selected date field, descending
+    if (currentCriteria.dateField === "postedAt") {
+        batch.sort((a, b) => (MediaUtils.getPostedAt(b) || 0) - (MediaUtils.getPostedAt(a) || 0));
+    } else {
+        batch.sort((a, b) => b.scrapedAt - a.scrapedAt);
+    }
 
     if (batch.length === 0 && reset) {
         grid.innerHTML = '<div style="grid-column: 1/-1; text-align: center; padding: 20px;">No videos found matching criteria.</div>';
@@ -81,18 +131,21 @@ export async function renderVideos(reset = true) {
         card.className = "video-card";
 
         const dateStr = new Date(media.scrapedAt).toLocaleDateString();
+        const postedAt = MediaUtils.getPostedAt(media);
+        const postedStr = postedAt ? `Posted ${new Date(postedAt).toLocaleDateString()} &bull; ` : "";
 
         card.innerHTML = `
             <div class="thumb loading" style="background-color: #222; display:flex; align-items:center; justify-content:center;">
                 <span class="loader" style="color:#555">...</span>
             </div>
             <div class="video-info">
-                <h3>${media.userId}</h3>
-                <p>${dateStr}</p>
+                <h3 class="creator-link" data-creator="${escapeHtml(media.userId)}" data-platform="${escapeHtml(media.platform)}" title="Creator details">${escapeHtml(media.userId)}</h3>
+                <p>${postedStr}Scraped ${dateStr}${formatRelations(media)}${media.missingSince ? `<br><span style="color: #ff0050;" title="Last seen ${media.lastSeenAt ? new Date(media.lastSeenAt).toLocaleDateString() : "before tracking started"}">Missing since ${new Date(media.missingSince).toLocaleDateString()}</span>` : ""}</p>
                 <div class="actions">
                     <a href="${media.originalUrl}" target="_blank">View</a>
                     <button class="btn-download" data-url="${media.originalUrl}">Download</button>
-                    ${!media.exported ? '<span title="New / Not Exported" style="color: #00f2ea; font-size: 0.8rem;">● New</span>' : ""}
+                    ${media.platform === "TikTok" ? `<button class="btn-comments" data-url="${media.originalUrl}" title="Queue a scrape of this video's comments">Comments</button>` : ""}
+                    ${media.isNew ? '<span title="Found by a scheduled scrape" style="color: #00f2ea; font-size: 0.8rem;">★ New</span>' : !media.exported ? '<span title="New / Not Exported" style="color: #00f2ea; font-size: 0.8rem;">● New</span>' : ""}
                 </div>
             </div>
         `;
@@ -108,6 +161,18 @@ export async function renderVideos(reset = true) {
     }
 }
 
+const RELATION_LABELS = { likedBy: "Liked by", favoritedBy: "Favorited by", repostedBy: "Reposted by" };
+
+/**
+ * Profiles whose Liked, Favorites or Reposts tab held the post, one line per relation
+ */
+function formatRelations(media) {
+    return Object.entries(RELATION_LABELS)
+        .filter(([field]) => Array.isArray(media[field]) && media[field].length > 0)
+        .map(([field, label]) => `<br>${label} ${media[field].map((userId) => `@${escapeHtml(userId)}`).join(", ")}`)
+        .join("");
+}
+
 async function loadThumbnailForCard(card, media) {
     const thumbDiv = card.querySelector(".thumb");
     const url = media.thumbnailUrl;
@@ -229,6 +294,9 @@ async function updateVideoStatsHeader(criteria) {
             if (criteria.newOnly) {
                 text += ` (New / Unexported)`;
             }
+            if (criteria.missingOnly) {
+                text += ` (Removed)`;
+            }
         }
         statsHeader.innerHTML = text;
     } catch (e) {
@@ -21,9 +21,16 @@ async function init() {
 
     const privacySelect = document.getElementById("privacyMode");
     const efficientSelect = document.getElementById("efficientScrolling");
+    const scrapeModeSelect = document.getElementById("scrapeMode");
+    const thresholdInput = document.getElementById("incrementalThreshold");
+    const incrementalRow = document.getElementById("incrementalRow");
+
+    const updateIncrementalRow = () => {
+        incrementalRow.style.display = scrapeModeSelect.value === "Incremental" ? "block" : "none";
+    };
 
     // Load saved settings
-    chrome.storage.local.get(["privacySetting", "efficientScrolling"], (result) => {
+    chrome.storage.local.get(["privacySetting", "efficientScrolling", "scrapeMode", "incrementalThreshold"], (result) => {
         if (result.privacySetting) {
             privacySelect.value = result.privacySetting;
         } else {
@@ -38,6 +45,10 @@ async function init() {
             // Default to "Efficient"
             efficientSelect.value = "Efficient";
         }
+
+        scrapeModeSelect.value = result.scrapeMode || "Full";
+        if (result.incrementalThreshold) thresholdInput.value = result.incrementalThreshold;
+        updateIncrementalRow();
     });
 
     // Save on change
@@ -49,18 +60,99 @@ async function init() {
         chrome.storage.local.set({ efficientScrolling: efficientSelect.value });
     });
 
-    if (tab.url.includes("tiktok.com")) {
-        body.classList.add("tiktok-theme");
+    scrapeModeSelect.addEventListener("change", () => {
+        chrome.storage.local.set({ scrapeMode: scrapeModeSelect.value });
+        updateIncrementalRow();
+    });
+
+    thresholdInput.addEventListener("change", () => {
+        const threshold = Math.max(1, parseInt(thresholdInput.value) || 20);
+        thresholdInput.value = threshold;
+        chrome.storage.local.set({ incrementalThreshold: threshold });
+    });
+
+    const controlsDiv = document.getElementById("scrapeControls");
+    const pauseBtn = document.getElementById("pauseScrape");
+    const stopBtn = document.getElementById("stopScrape");
+
+    /**
+     * Shows the pause/stop controls for a "RUNNING", "PAUSED", "BLOCKED" or "IDLE" scrape
+     */
+    const renderControls = (status) => {
+        controlsDiv.style.display = status === "RUNNING" || status === "PAUSED" || status === "BLOCKED" ? "flex" : "none";
+        pauseBtn.textContent = status === "BLOCKED" ? "Retry Now" : status === "PAUSED" ? "Resume" : "Pause";
+        if (status === "PAUSED") statusDiv.textContent = "Paused";
+        else if (status === "BLOCKED") statusDiv.textContent = "Blocked by the site, backing off...";
+        else if (status === "RUNNING") statusDiv.textContent = "Scraping...";
+    };
+
+    const sendControl = (action) => {
+        chrome.tabs.sendMessage(tab.id, { action }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                renderControls("IDLE");
+                return;
+            }
+            renderControls(response.status);
+            if (action === "STOP_SCRAPE") statusDiv.textContent = "Stopping...";
+        });
+    };
+
+    pauseBtn.addEventListener("click", () => sendControl(pauseBtn.textContent === "Pause" ? "PAUSE_SCRAPE" : "RESUME_SCRAPE"));
+    stopBtn.addEventListener("click", () => sendControl("STOP_SCRAPE"));
+
+    // Pick up a run started from an earlier popup
+    sendControl("GET_SCRAPE_STATUS");
+
+    // Live counters reported by the content script through the background worker
+    const SCRAPE_PROGRESS_KEY = `scrape_progress_${tab.id}`;
+    const progressDiv = document.getElementById("scrapeProgress");
+    const renderProgress = (progress) => {
+        if (!progress) return;
+
+        progressDiv.style.display = "block";
+        progressDiv.innerHTML = "";
+        const rows = [
+            ["Found", progress.found],
+            ["Saved", `${progress.saved} (${progress.newItems} new)`],
+            ["Waiting for thumbnail", progress.pendingInvalid],
+            ["Scroll", progress.scrollIteration],
+        ];
+        if (progress.blocker) rows.push(["Blocked", `${progress.blocker}, retry at ${new Date(progress.blockerRetryAt).toLocaleTimeString()}`]);
+        rows.forEach(([label, value]) => {
+            const row = document.createElement("div");
+            row.textContent = `${label}: ${value}`;
+            progressDiv.appendChild(row);
+        });
+        if (progress.status === "IDLE") statusDiv.textContent = `${progress.platform} scrape finished.`;
+    };
+
+    chrome.storage.local.get([SCRAPE_PROGRESS_KEY], (result) => renderProgress(result[SCRAPE_PROGRESS_KEY]));
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes[SCRAPE_PROGRESS_KEY]) {
+            const progress = changes[SCRAPE_PROGRESS_KEY].newValue;
+            renderProgress(progress);
+            if (progress) renderControls(progress.status);
+        }
+    });
+
+    /**
+     * Adds a platform scrape button that sends the given start action to the content script
+     */
+    const addScrapeButton = (label, action) => {
         const scrapeBtn = document.createElement("button");
         scrapeBtn.className = "btn btn-primary";
-        scrapeBtn.textContent = "Start TikTok Scrape";
+        scrapeBtn.textContent = label;
         scrapeBtn.onclick = async () => {
             const privacySetting = privacySelect.value;
             const efficientScrolling = efficientSelect.value;
+            const scrapeMode = scrapeModeSelect.value;
+            const incrementalThreshold = parseInt(thresholdInput.value) || 20;
             statusDiv.textContent = "Initializing...";
+            // The start response only arrives when the run ends, poll the status to show the controls
+            setTimeout(() => sendControl("GET_SCRAPE_STATUS"), 500);
 
             // Try sending message first
-            chrome.tabs.sendMessage(tab.id, { action: "START_SCRAPE_TIKTOK", privacySetting, efficientScrolling }, (response) => {
+            chrome.tabs.sendMessage(tab.id, { action, privacySetting, efficientScrolling, scrapeMode, incrementalThreshold }, (response) => {
                 if (chrome.runtime.lastError) {
                     // Content script likely not loaded.
                     // Dynamic injection of modules is flaky; asking user to reload is robust.
@@ -81,23 +173,26 @@ async function init() {
 
                     statusDiv.appendChild(msg);
                     statusDiv.appendChild(reloadBtn);
+                } else if (response && response.status === "already_running") {
+                    statusDiv.textContent = "A scrape is already running on this page.";
                 } else {
-                    statusDiv.textContent = "Scraping... (Check Console)";
-                    // Close popup automatically after start? Optional.
+                    renderControls("IDLE");
+                    statusDiv.textContent = "Scrape finished.";
                 }
             });
         };
         actionsDiv.appendChild(scrapeBtn);
+    };
+
+    if (tab.url.includes("tiktok.com")) {
+        body.classList.add("tiktok-theme");
+        addScrapeButton("Start TikTok Scrape", "START_SCRAPE_TIKTOK");
     } else if (tab.url.includes("facebook.com")) {
         body.classList.add("fb-theme");
-        const scrapeBtn = document.createElement("button");
-        scrapeBtn.className = "btn btn-primary";
-        scrapeBtn.textContent = "Start Facebook Scrape";
-        // Placeholder implementation
-        scrapeBtn.onclick = () => {
-            statusDiv.textContent = "Coming Soon";
-        };
-        actionsDiv.appendChild(scrapeBtn);
+        addScrapeButton("Start Facebook Scrape", "START_SCRAPE_FACEBOOK");
+    } else if (tab.url.includes("instagram.com")) {
+        body.classList.add("ig-theme");
+        addScrapeButton("Start Instagram Scrape", "START_SCRAPE_INSTAGRAM");
     } else {
         statusDiv.textContent = "Navigate to a supported social site.";
     }
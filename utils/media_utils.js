@@ -0,0 +1,101 @@
+/**
+ * Media Utility
+ * Platform specific helpers shared by content scripts, the background worker and the dashboard.
+ */
+class MediaUtils {
+    /**
+     * Extracts the numeric TikTok video/photo ID from a URL
+     * @param {string} url
+     * @returns {string|null}
+     */
+    static getTikTokVideoId(url) {
+        const match = String(url || "").match(/\/(?:video|photo)\/(\d+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Stable media key "platform:videoId" for a post URL
+     * Ignores query strings, hosts (www/m/web) and TikTok's /photo/ vs /video/ paths, so every link to a post maps to one key.
+     * @param {string} platform - "TikTok", "Instagram" or "Facebook"
+     * @param {string} url - Post URL, or a key that is already canonical
+     * @returns {string|null} - null when the URL is not a recognizable post
+     */
+    static canonicalize(platform, url) {
+        const text = String(url || "");
+        if (/^(tiktok|instagram|facebook):[\w-]+$/.test(text)) return text;
+
+        let match = null;
+        if (platform === "TikTok") {
+            const videoId = MediaUtils.getTikTokVideoId(text);
+            return videoId ? `tiktok:${videoId}` : null;
+        } else if (platform === "Instagram") {
+            match = text.match(/instagram\.com\/(?:[^/?#]+\/)?(?:p|reels?|tv)\/([\w-]+)/);
+            return match ? `instagram:${match[1]}` : null;
+        } else if (platform === "Facebook") {
+            match = text.match(/facebook\.com\/reel\/(\d+)/) || text.match(/facebook\.com\/watch\/?(?:live\/?)?\?(?:.*&)?v=(\d+)/) || text.match(/facebook\.com\/[^?#]*\/videos\/(?:[^/?#]+\/)?(\d+)/);
+            return match ? `facebook:${match[1]}` : null;
+        }
+        return null;
+    }
+
+    /**
+     * Platform ID of a stored post: its videoId, else the part of the canonical key after the platform prefix
+     * @param {Object} media - Record from the media store
+     * @returns {string}
+     */
+    static getVideoId(media) {
+        if (media.videoId) return media.videoId;
+        const key = MediaUtils.canonicalize(media.platform, media.originalUrl || media.id) || String(media.id || "");
+        return key.slice(key.indexOf(":") + 1);
+    }
+
+    /**
+     * Decodes the upload time from a TikTok ID.
+     * IDs are snowflake-style: the upper 32 bits hold the upload time in Unix seconds.
+     * @param {string} videoId
+     * @returns {number|null} - Timestamp in ms, null if the ID does not decode to a plausible date
+     */
+    static getTikTokPostedAt(videoId) {
+        if (!videoId || !/^\d+$/.test(videoId)) return null;
+        try {
+            const seconds = Number(BigInt(videoId) >> 32n);
+            const postedAt = seconds * 1000;
+            // Sanity range: TikTok launched in 2016, allow a day of clock skew for fresh uploads
+            if (postedAt < MediaUtils.TIKTOK_EPOCH || postedAt > Date.now() + 24 * 60 * 60 * 1000) return null;
+            return postedAt;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Resolves the posted date of a media record
+     * Uses the stored value when present, otherwise derives it where the platform allows
+     * @param {Object} media
+     * @returns {number|null}
+     */
+    static getPostedAt(media) {
+        if (!media) return null;
+        if (media.postedAt) return media.postedAt;
+        if (media.platform === "TikTok") {
+            return MediaUtils.getTikTokPostedAt(media.videoId || MediaUtils.getTikTokVideoId(media.originalUrl || media.id));
+        }
+        return null;
+    }
+
+    /**
+     * All cacheable image URLs of a media record: the cover, then every photo-mode slide in order
+     * @param {Object} media
+     * @returns {string[]}
+     */
+    static getThumbnailUrls(media) {
+        if (!media) return [];
+        const urls = [media.thumbnailUrl, ...(Array.isArray(media.images) ? media.images : [])];
+        return [...new Set(urls.filter((url) => url && !url.startsWith("data:")))];
+    }
+}
+
+MediaUtils.TIKTOK_EPOCH = Date.UTC(2016, 0, 1);
+
+// Global reference for Contexts (Window or Service Worker)
+(typeof self !== "undefined" ? self : window).MediaUtils = MediaUtils;
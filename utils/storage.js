@@ -2,7 +2,7 @@
  * Storage Utility (IndexedDB Wrapper)
  */
 const DB_NAME = "SocialScraperDB";
-const DB_VERSION = 2;
+const DB_VERSION = 7;
 
 class StorageUtils {
     constructor() {
@@ -76,6 +76,34 @@ class StorageUtils {
                 if (!db.objectStoreNames.contains("thumbnails")) {
                     db.createObjectStore("thumbnails", { keyPath: "url" });
                 }
+
+                // Scrape Sessions Store (run history)
+                if (!db.objectStoreNames.contains("sessions")) {
+                    const sessionStore = db.createObjectStore("sessions", { keyPath: "id" });
+                    sessionStore.createIndex("userId", "userId", { unique: false });
+                    sessionStore.createIndex("startedAt", "startedAt", { unique: false });
+                }
+
+                // Creator Profiles Store (one record per platform:userId, avatars live in thumbnails)
+                if (!db.objectStoreNames.contains("users")) {
+                    const userStore = db.createObjectStore("users", { keyPath: "id" });
+                    userStore.createIndex("platform", "platform", { unique: false });
+                    userStore.createIndex("userId", "userId", { unique: false });
+                }
+
+                // Comments Store (one record per mediaId:commentId, replies point at their parentId)
+                if (!db.objectStoreNames.contains("comments")) {
+                    const commentStore = db.createObjectStore("comments", { keyPath: "id" });
+                    commentStore.createIndex("mediaId", "mediaId", { unique: false });
+                    commentStore.createIndex("mediaUserId", "mediaUserId", { unique: false });
+                }
+
+                // v3: One-time backfill of postedAt for media scraped before it was captured
+                // v5: Media re-keyed to canonical "platform:videoId" ids, duplicates merged
+                // Both rewrite every record, so they share one pass
+                if (event.oldVersion > 0 && event.oldVersion < 5) {
+                    this._migrateMediaRecords(event.target.transaction);
+                }
             };
 
             request.onsuccess = (event) => {
@@ -87,6 +115,92 @@ class StorageUtils {
         return this._initPromise;
     }
 
+    /**
+     * Upgrade pass over the media store: canonical ids, merged duplicates and postedAt backfill
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     */
+    _migrateMediaRecords(transaction) {
+        const mediaStore = transaction.objectStore("media");
+        const thumbRequest = transaction.objectStore("thumbnails").getAllKeys();
+
+        thumbRequest.onsuccess = () => {
+            const cachedUrls = new Set(thumbRequest.result);
+            const mediaRequest = mediaStore.getAll();
+
+            mediaRequest.onsuccess = () => {
+                const groups = new Map(); // canonical id -> records
+                for (const m of mediaRequest.result) {
+                    const key = MediaUtils.canonicalize(m.platform, m.originalUrl || m.id) || m.id;
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(m);
+                }
+
+                let mergedCount = 0;
+                groups.forEach((records, key) => {
+                    const record = records.length > 1 ? this._mergeDuplicateMedia(records, cachedUrls) : { ...records[0] };
+                    if (records.length > 1) mergedCount += records.length - 1;
+
+                    record.id = key;
+                    if (!record.postedAt) {
+                        const postedAt = MediaUtils.getPostedAt(record);
+                        if (postedAt) record.postedAt = postedAt;
+                    }
+
+                    records.forEach((r) => {
+                        if (r.id !== key) mediaStore.delete(r.id);
+                    });
+                    mediaStore.put(record);
+                });
+                console.log(`[Storage] Migrated ${mediaRequest.result.length} media records to canonical ids, merged ${mergedCount} duplicates.`);
+            };
+        };
+    }
+
+    /**
+     * Folds records of the same post into one
+     * Keeps the earliest scrapedAt, the best thumbnail (cached, else a real URL over a data URI),
+     * the latest non-empty details and the union of sources, export flags and metrics history.
+     * @param {Array} records - Records sharing a canonical id
+     * @param {Set<string>} cachedUrls - Thumbnail URLs present in the thumbnails store
+     */
+    _mergeDuplicateMedia(records, cachedUrls) {
+        const sorted = records.slice().sort((a, b) => (a.scrapedAt || 0) - (b.scrapedAt || 0));
+        const merged = { ...sorted[0] };
+
+        let exportFlags = 0;
+        const history = [];
+        for (const r of sorted) {
+            exportFlags |= r.exportFlags || 0;
+            if (r.exported === true) exportFlags |= StorageUtils.ExportFlags.ALL_EXPORT;
+            if (Array.isArray(r.metricsHistory)) history.push(...r.metricsHistory);
+            if (r === sorted[0]) continue;
+
+            // Later scrapes carry the fresher details
+            for (const field of StorageUtils.MEDIA_DETAIL_FIELDS) {
+                const value = r[field];
+                const isEmpty = value == null || value === "" || (Array.isArray(value) && value.length === 0);
+                if (!isEmpty) merged[field] = value;
+            }
+            this._mergeListFields(merged, r);
+        }
+
+        if (exportFlags) merged.exportFlags = exportFlags;
+        delete merged.exported; // Folded into exportFlags
+        if (history.length > 0) merged.metricsHistory = history.sort((a, b) => a.at - b.at);
+        // Only new if no copy of the post was known before
+        if (sorted.every((r) => r.isNew)) merged.isNew = true;
+        else delete merged.isNew;
+
+        const newestFirst = sorted.slice().reverse();
+        const best =
+            newestFirst.find((r) => r.thumbnailUrl && cachedUrls.has(r.thumbnailUrl)) ||
+            newestFirst.find((r) => r.thumbnailUrl && !r.thumbnailUrl.startsWith("data:")) ||
+            newestFirst.find((r) => r.thumbnailUrl);
+        if (best) merged.thumbnailUrl = best.thumbnailUrl;
+
+        return merged;
+    }
+
     /**
      * Generic Add/Put
      */
@@ -107,47 +221,198 @@ class StorageUtils {
 
     /**
      * Save multiple items at once
+     * @param {{flagNew?: boolean}} options - flagNew sets isNew on media that was not stored yet
+     * @returns {Promise<string[]>} - IDs of media items that were already stored
      */
-    async saveAll(storeName, items) {
+    async saveAll(storeName, items, options = {}) {
         await this.init();
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([storeName], "readwrite");
             const store = transaction.objectStore(storeName);
+            const existingIds = []; // Media that was already stored, used by incremental scrapes
 
             transaction.oncomplete = () => {
                 this._invalidateCache();
-                resolve();
+                resolve(existingIds);
             };
             transaction.onerror = (event) => reject(event.target.error);
 
             items.forEach((item) => {
-                // Conditional Update Logic for Media with Data URIs
-                if (storeName === "media" && item.thumbnailUrl) {
-                    // Check if item exists
-                    const request = store.get(item.id);
-                    request.onsuccess = () => {
-                        const existing = request.result;
-                        // If exists and has a VALID thumbnail (not data URI), do NOT overwrite
-                        if (existing && existing.thumbnailUrl && !existing.thumbnailUrl.startsWith("data:")) {
-                            //console.log(`[Storage] Skipping overwrite of ${item.id} (Preserving existing valid thumbnail ${existing.thumbnailUrl})`);
-                        } else {
-                            console.log(`[Storage] Overwriting ${item.id} Old: ${existing.thumbnailUrl} New: ${item.thumbnailUrl}`);
-                            // Overwrite if it didn't exist OR if existing was also a data URI
-                            store.put(item);
-                        }
-                    };
-                    request.onerror = () => {
-                        console.error(`[Storage] Error checking existence for ${item.id}, attempting save anyway.`);
-                        store.put(item);
-                    };
-                } else {
-                    // Normal save (new valid URL will overwrite old data URI or old valid URL)
+                if (storeName !== "media") {
                     store.put(item);
+                    return;
                 }
+
+                // Media is always merged into the stored record, which keeps its history, sources, export and tracking state
+                const request = store.get(item.id);
+                request.onsuccess = () => {
+                    const existing = request.result;
+                    if (!existing) {
+                        const record = { ...item };
+                        if (options.flagNew) record.isNew = true;
+                        this._addMetricsSample(record, item);
+                        store.put(record);
+                        return;
+                    }
+
+                    existingIds.push(item.id);
+                    // Still pick up newly scraped details (caption, tags...) without touching the rest of the record
+                    let merged = this._mergeMediaDetails(existing, item);
+                    if (this._isBetterThumbnail(existing.thumbnailUrl, item.thumbnailUrl)) {
+                        console.log(`[Storage] Replacing thumbnail of ${item.id} Old: ${existing.thumbnailUrl || "none"} New: ${item.thumbnailUrl}`);
+                        merged = { ...(merged || existing), thumbnailUrl: item.thumbnailUrl };
+                    }
+                    if (merged) store.put(merged);
+                };
+                request.onerror = () => {
+                    console.error(`[Storage] Error checking existence for ${item.id}, attempting save anyway.`);
+                    store.put(item);
+                };
             });
         });
     }
 
+    /**
+     * A real thumbnail URL replaces a missing one or a data URI placeholder, never the other way round
+     */
+    _isBetterThumbnail(current, incoming) {
+        if (!incoming || incoming === current) return false;
+        if (!current) return true;
+        return current.startsWith("data:") && !incoming.startsWith("data:");
+    }
+
+    /**
+     * Copy scraped detail fields from a fresh media item onto an existing record
+     * Empty incoming values never erase what was captured before.
+     * @returns {Object|null} - Updated record, or null if nothing changed
+     */
+    _mergeMediaDetails(existing, incoming) {
+        let changed = false;
+        const merged = { ...existing };
+
+        for (const field of StorageUtils.MEDIA_DETAIL_FIELDS) {
+            const value = incoming[field];
+            const isEmpty = value == null || value === "" || (Array.isArray(value) && value.length === 0);
+            if (isEmpty) continue;
+
+            if (JSON.stringify(value) !== JSON.stringify(existing[field])) {
+                merged[field] = value;
+                changed = true;
+            }
+        }
+
+        if (this._mergeListFields(merged, incoming)) changed = true;
+        if (this._addMetricsSample(merged, incoming)) changed = true;
+        // Scraped again, so the post is back
+        if (merged.missingSince) {
+            delete merged.missingSince;
+            changed = true;
+        }
+
+        return changed ? merged : null;
+    }
+
+    /**
+     * Unions the accumulating list fields (e.g. sources) of another record into a record
+     * @returns {boolean} - Whether the record gained a value
+     */
+    _mergeListFields(record, other) {
+        let changed = false;
+        for (const field of StorageUtils.MEDIA_LIST_FIELDS) {
+            const current = record[field] || [];
+            const added = (other[field] || []).filter((value) => !current.includes(value));
+            if (added.length === 0) continue;
+
+            record[field] = [...current, ...added];
+            changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * Append the engagement counters of an incoming item to record.metricsHistory
+     * A sample taken within METRICS_SAMPLE_INTERVAL of the last one replaces it,
+     * so the passes of a single scrape only produce one point.
+     * @param {Object} fields - Counter field -> sample key, creator profiles pass USER_COUNT_FIELDS
+     * @param {string} historyField - Record field holding the samples
+     * @returns {boolean} - Whether a sample was recorded
+     */
+    _addMetricsSample(record, incoming, fields = StorageUtils.METRIC_FIELDS, historyField = "metricsHistory") {
+        const sample = { at: Date.now() };
+        let hasMetric = false;
+
+        for (const [field, key] of Object.entries(fields)) {
+            if (typeof incoming[field] === "number") {
+                sample[key] = incoming[field];
+                hasMetric = true;
+            }
+        }
+        if (!hasMetric) return false;
+
+        const history = Array.isArray(record[historyField]) ? record[historyField].slice() : [];
+        const last = history[history.length - 1];
+
+        if (last && sample.at - last.at < StorageUtils.METRICS_SAMPLE_INTERVAL) {
+            history[history.length - 1] = { ...last, ...sample };
+        } else {
+            history.push(sample);
+        }
+
+        record[historyField] = history;
+        return true;
+    }
+
+    /**
+     * Creator profile from the users store
+     * @param {string|null} platform - When unknown, the first profile with this userId is returned
+     * @returns {Promise<Object|undefined>}
+     */
+    async getUser(platform, userId) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(["users"], "readonly").objectStore("users");
+            const request = platform ? store.get(StorageUtils.getUserKey(platform, userId)) : store.index("userId").get(userId);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Stores scraped creator metadata, keeping fields the page did not show this time
+     * Each save adds a point to followerHistory (one per METRICS_SAMPLE_INTERVAL).
+     * @param {Object} profile - { platform, userId, displayName, bio, followerCount, followingCount, likeCount, videoCount, avatarUrl, verified }
+     * @returns {Promise<Object>} - The stored record
+     */
+    async saveUser(profile) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(["users"], "readwrite");
+            const store = transaction.objectStore("users");
+            const id = StorageUtils.getUserKey(profile.platform, profile.userId);
+            let record = null;
+
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const existing = request.result;
+                const now = Date.now();
+                record = existing ? { ...existing } : { id, platform: profile.platform, userId: profile.userId, firstSeenAt: now };
+
+                for (const field of StorageUtils.USER_DETAIL_FIELDS) {
+                    const value = profile[field];
+                    if (value != null && value !== "") record[field] = value;
+                }
+                record.updatedAt = now;
+
+                this._addMetricsSample(record, profile, StorageUtils.USER_COUNT_FIELDS, "followerHistory");
+                store.put(record);
+            };
+
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
+
     /**
      * Get all items from a store
      */
@@ -322,21 +587,20 @@ class StorageUtils {
     async deleteOrphanedThumbnails() {
         await this.init();
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(["media", "thumbnails"], "readwrite");
+            const transaction = this.db.transaction(["media", "thumbnails", "users"], "readwrite");
             const mediaStore = transaction.objectStore("media");
             const thumbStore = transaction.objectStore("thumbnails");
 
-            // 1. Collect all referenced thumbnail URLs
+            // 1. Collect all referenced thumbnail URLs, creator avatars included
             const referencedUrls = new Set();
+            const usersReq = transaction.objectStore("users").getAll();
+            usersReq.onsuccess = () => usersReq.result.forEach((u) => u.avatarUrl && referencedUrls.add(u.avatarUrl));
             const mediaCursorReq = mediaStore.openCursor();
 
             mediaCursorReq.onsuccess = (e) => {
                 const cursor = e.target.result;
                 if (cursor) {
-                    const m = cursor.value;
-                    if (m.thumbnailUrl && !m.thumbnailUrl.startsWith("data:")) {
-                        referencedUrls.add(m.thumbnailUrl);
-                    }
+                    MediaUtils.getThumbnailUrls(cursor.value).forEach((url) => referencedUrls.add(url));
                     cursor.continue();
                 } else {
                     // 2. Iterate thumbnails and delete if not in referencedUrls
@@ -411,11 +675,16 @@ class StorageUtils {
             /* estimate unavailable */
         }
 
-        const transaction = this.db.transaction(["media", "thumbnails"], "readonly");
+        const transaction = this.db.transaction(["media", "thumbnails", "users"], "readonly");
         const mediaStore = transaction.objectStore("media");
         const thumbStore = transaction.objectStore("thumbnails");
 
         const [totalMediaCount, totalThumbCount] = await Promise.all([idbCount(mediaStore), idbCount(thumbStore)]);
+        const avatarUrls = await new Promise((resolve, reject) => {
+            const req = transaction.objectStore("users").getAll();
+            req.onsuccess = () => resolve(new Set(req.result.map((u) => u.avatarUrl).filter(Boolean)));
+            req.onerror = () => reject(req.error);
+        });
 
         // 3. Lightweight cursor for user stats and cache health
         const result = await new Promise((resolve, reject) => {
@@ -423,8 +692,10 @@ class StorageUtils {
             const userItemCounts = {};
             let lastScrapeTime = 0;
             let invalidThumbCount = 0;
+            let missingCount = 0;
             const now = Date.now();
             const urlRefCounts = new Map();
+            const slideUrls = new Set();
 
             const mediaCursorReq = mediaStore.openCursor();
 
@@ -441,12 +712,15 @@ class StorageUtils {
                     if (m.scrapedAt && m.scrapedAt > lastScrapeTime) {
                         lastScrapeTime = m.scrapedAt;
                     }
+                    if (m.missingSince) missingCount++;
 
                     if (!m.thumbnailUrl || m.thumbnailUrl.startsWith("data:")) {
                         invalidThumbCount++;
                     } else {
                         urlRefCounts.set(m.thumbnailUrl, (urlRefCounts.get(m.thumbnailUrl) || 0) + 1);
                     }
+                    // Photo slides (and creator avatars) are cached too, they only must not be reported as orphans
+                    if (Array.isArray(m.images)) m.images.forEach((url) => slideUrls.add(url));
 
                     cursor.continue();
                 } else {
@@ -484,7 +758,7 @@ class StorageUtils {
                                     cachedMediaCount += refCount;
                                 }
                             }
-                        } else {
+                        } else if (!slideUrls.has(t.url) && !avatarUrls.has(t.url)) {
                             orphanedCount++;
                         }
 
@@ -509,6 +783,7 @@ class StorageUtils {
                                 totalUsers: uniqueUsers.size,
                                 totalThumbnails: totalThumbCount,
                                 lastScraped: lastScrapeTime,
+                                missingVideos: missingCount,
                                 cachedThumbnails: cachedMediaCount,
                                 invalidThumbnails: invalidThumbCount,
                                 expiredThumbnails: expiredMediaCount,
@@ -769,9 +1044,55 @@ class StorageUtils {
         }
     }
 
+    /**
+     * Date range check shared by the media queries
+     * criteria.dateField selects "scrapedAt" (default) or "postedAt"
+     */
+    _matchesDateRange(m, criteria) {
+        if (!criteria.startDate && !criteria.endDate) return true;
+
+        const value = criteria.dateField === "postedAt" ? MediaUtils.getPostedAt(m) : m.scrapedAt;
+        if (!value) return false;
+        if (criteria.startDate && value < criteria.startDate) return false;
+        if (criteria.endDate && value > criteria.endDate) return false;
+        return true;
+    }
+
+    /**
+     * 'New' check shared by the media queries: NOT exported for the formats in criteria.excludeMask
+     * With criteria.includeFlagged, items flagged isNew by a scheduled scrape always count as new.
+     */
+    _matchesNewOnly(m, criteria) {
+        if (!criteria.newOnly) return true;
+        if (criteria.includeFlagged && m.isNew) return true;
+
+        // Resolve Flags
+        let flags = m.exportFlags || 0;
+        if (m.exported === true) flags |= StorageUtils.ExportFlags.ALL_EXPORT; // Legacy fallback
+
+        const mask = criteria.excludeMask || 0;
+        return (flags & mask) === 0;
+    }
+
+    /**
+     * Removed-content check shared by the media queries, criteria.missingOnly keeps posts flagged by markMissing
+     */
+    _matchesMissing(m, criteria) {
+        return !criteria.missingOnly || !!m.missingSince;
+    }
+
+    /**
+     * Source context check shared by the media queries
+     * criteria.source is a "type:value" string such as "hashtag:cats"
+     */
+    _matchesSource(m, criteria) {
+        if (!criteria.source || criteria.source === "ALL") return true;
+        return Array.isArray(m.sources) && m.sources.includes(criteria.source);
+    }
+
     /**
      * Query Media Items (Paginated / Filtered)
-     * Criteria: { platform, userId, newOnly }
+     * Criteria: { platform, userId, source, newOnly, missingOnly, startDate, endDate, dateField }
      */
     async queryMedia(criteria = {}, offset = 0, limit = 50) {
         await this.init();
@@ -812,26 +1133,14 @@ class StorageUtils {
                     if (criteria.userId && criteria.userId !== "ALL" && indexName !== "userId") {
                         if (m.userId !== criteria.userId) match = false;
                     }
+                    if (match && !this._matchesSource(m, criteria)) match = false;
 
                     // Date Filter
-                    if (match && criteria.startDate) {
-                        if (!m.scrapedAt || m.scrapedAt < criteria.startDate) match = false;
-                    }
-                    if (match && criteria.endDate) {
-                        // End date should be inclusive, so we might need to exact end of day or just compare timestamp
-                        // Assuming caller passes timestamp or we handle it.
-                        if (!m.scrapedAt || m.scrapedAt > criteria.endDate) match = false;
-                    }
-
-                    // 'New' means NOT exported
-                    if (match && criteria.newOnly) {
-                        // Resolve Flags
-                        let flags = m.exportFlags || 0;
-                        if (m.exported === true) flags |= StorageUtils.ExportFlags.ALL_EXPORT;
+                    // End date should be inclusive, callers pass the end-of-day timestamp
+                    if (match && !this._matchesDateRange(m, criteria)) match = false;
 
-                        const mask = criteria.excludeMask || 0;
-                        if ((flags & mask) !== 0) match = false;
-                    }
+                    if (match && !this._matchesNewOnly(m, criteria)) match = false;
+                    if (match && !this._matchesMissing(m, criteria)) match = false;
 
                     if (match) {
                         if (skipped < offset) {
@@ -866,15 +1175,13 @@ class StorageUtils {
         // criteria can be string (platform) or object { platform, startDate, endDate }
         // Backward compatibility
         let platform = null;
-        let startDate = null;
-        let endDate = null;
+        let dateCriteria = {};
 
         if (typeof criteria === "string") {
             platform = criteria;
         } else {
             platform = criteria.platform;
-            startDate = criteria.startDate;
-            endDate = criteria.endDate;
+            dateCriteria = criteria;
         }
 
         return new Promise((resolve, reject) => {
@@ -890,15 +1197,11 @@ class StorageUtils {
                     if (m.userId) {
                         let match = true;
                         if (platform && platform !== "ALL" && m.platform !== platform) match = false;
-                        if (startDate && (!m.scrapedAt || m.scrapedAt < startDate)) match = false;
-                        if (endDate && (!m.scrapedAt || m.scrapedAt > endDate)) match = false;
-
-                        if (match && criteria.newOnly) {
-                            let flags = m.exportFlags || 0;
-                            if (m.exported === true) flags |= StorageUtils.ExportFlags.ALL_EXPORT;
-                            const mask = criteria.excludeMask || 0;
-                            if ((flags & mask) !== 0) match = false;
-                        }
+                        if (match && !this._matchesDateRange(m, dateCriteria)) match = false;
+                        if (match && !this._matchesSource(m, dateCriteria)) match = false;
+
+                        if (match && !this._matchesNewOnly(m, criteria)) match = false;
+                        if (match && !this._matchesMissing(m, criteria)) match = false;
 
                         if (match) {
                             users.add(m.userId);
@@ -913,6 +1216,95 @@ class StorageUtils {
         });
     }
 
+    /**
+     * Get list of unique source contexts (hashtags, sounds, searches) for filters
+     */
+    async getUniqueSources() {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(["media"], "readonly");
+            const store = transaction.objectStore("media");
+            const sources = new Set();
+
+            const request = store.openCursor();
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    const m = cursor.value;
+                    if (Array.isArray(m.sources)) m.sources.forEach((source) => sources.add(source));
+                    cursor.continue();
+                } else {
+                    resolve(Array.from(sources).sort());
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get scrape sessions, newest first
+     * @param {number} limit - Maximum number of sessions to return
+     */
+    async getSessions(limit = 500) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(["sessions"], "readonly");
+            const request = transaction.objectStore("sessions").index("startedAt").openCursor(null, "prev");
+            const sessions = [];
+
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor && sessions.length < limit) {
+                    sessions.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(sessions);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get scraped comments, threads kept together (each top-level comment followed by its replies)
+     * @param {{mediaId?: string, mediaUserId?: string}} criteria - Narrow to one post or to the posts of one creator
+     */
+    async getComments(criteria = {}) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(["comments"], "readonly").objectStore("comments");
+            let request;
+            if (criteria.mediaId) request = store.index("mediaId").getAll(criteria.mediaId);
+            else if (criteria.mediaUserId && criteria.mediaUserId !== "ALL") request = store.index("mediaUserId").getAll(criteria.mediaUserId);
+            else request = store.getAll();
+
+            request.onsuccess = () => {
+                const byPost = (a, b) => (a.mediaId < b.mediaId ? -1 : a.mediaId > b.mediaId ? 1 : 0);
+                const byTime = (a, b) => (a.postedAt || a.scrapedAt) - (b.postedAt || b.scrapedAt);
+                const comments = request.result;
+                const replies = new Map(); // parent comment id -> replies
+                comments.forEach((c) => {
+                    if (!c.parentId) return;
+                    const key = `${c.mediaId}:${c.parentId}`;
+                    if (!replies.has(key)) replies.set(key, []);
+                    replies.get(key).push(c);
+                });
+
+                // Replies whose parent was not captured are listed on their own
+                const ids = new Set(comments.map((c) => c.id));
+                const ordered = [];
+                const topLevel = comments.filter((c) => !c.parentId || !ids.has(`${c.mediaId}:${c.parentId}`));
+                topLevel.sort((a, b) => byPost(a, b) || byTime(a, b));
+                topLevel.forEach((c) => {
+                    ordered.push(c);
+                    if (!c.parentId) ordered.push(...(replies.get(c.id) || []).sort(byTime));
+                });
+                resolve(ordered);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Count items matching criteria
      */
@@ -931,16 +1323,11 @@ class StorageUtils {
                     let match = true;
                     if (criteria.platform && criteria.platform !== "ALL" && m.platform !== criteria.platform) match = false;
                     if (criteria.userId && criteria.userId !== "ALL" && m.userId !== criteria.userId) match = false;
+                    if (match && !this._matchesDateRange(m, criteria)) match = false;
+                    if (match && !this._matchesSource(m, criteria)) match = false;
 
-                    if (criteria.newOnly) {
-                        // Resolve Flags
-                        let flags = m.exportFlags || 0;
-                        if (m.exported === true) flags |= StorageUtils.ExportFlags.ALL_EXPORT; // Legacy fallback
-
-                        // Check mask
-                        const mask = criteria.excludeMask || 0; // Default to 0 if not provided (though newOnly implies we care)
-                        if ((flags & mask) !== 0) match = false;
-                    }
+                    if (match && !this._matchesNewOnly(m, criteria)) match = false;
+                    if (match && !this._matchesMissing(m, criteria)) match = false;
 
                     if (match) count++;
                     cursor.continue();
@@ -1035,6 +1422,15 @@ class StorageUtils {
                 }
             };
 
+            // Older backups predate postedAt and canonical ids, derive both on the way in
+            if (storeName === "media") {
+                data = data.map((item) => {
+                    const postedAt = MediaUtils.getPostedAt(item);
+                    const id = MediaUtils.canonicalize(item.platform, item.originalUrl || item.id) || item.id;
+                    return { ...item, id, ...(postedAt && !item.postedAt ? { postedAt } : {}) };
+                });
+            }
+
             // Transaction-based loop
             data.forEach((item) => processItem(item));
 
@@ -1088,6 +1484,83 @@ class StorageUtils {
             transaction.onerror = (e) => reject(e.target.error);
         });
     }
+
+    /**
+     * Reconciles a user's stored posts with a complete profile scrape
+     * Seen posts get lastSeenAt (and lose missingSince), the others are flagged missingSince
+     * the first time they are absent: deleted or made private by the creator.
+     * @param {string[]} seenIds - Canonical ids saved by the scrape
+     * @param {number} at - When the scrape ran
+     * @returns {Promise<{missing: number, restored: number}>} - Newly missing and reappeared posts
+     */
+    async markMissing(platform, userId, seenIds, at = Date.now()) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(["media"], "readwrite");
+            const request = transaction.objectStore("media").index("userId").openCursor(IDBKeyRange.only(userId));
+            const seen = new Set(seenIds);
+            const result = { missing: 0, restored: 0 };
+
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+
+                const item = { ...cursor.value };
+                if (item.platform === platform) {
+                    if (seen.has(item.id)) {
+                        if (item.missingSince) result.restored++;
+                        delete item.missingSince;
+                        item.lastSeenAt = at;
+                        cursor.update(item);
+                    } else if (!item.missingSince) {
+                        item.missingSince = at;
+                        cursor.update(item);
+                        result.missing++;
+                    }
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => {
+                this._invalidateCache();
+                resolve(result);
+            };
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Clear the isNew flag set by scheduled scrapes
+     * @returns {Promise<number>} - Number of items cleared
+     */
+    async clearNewFlags() {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(["media"], "readwrite");
+            const store = transaction.objectStore("media");
+            let cleared = 0;
+
+            const request = store.openCursor();
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    if (cursor.value.isNew) {
+                        const item = { ...cursor.value };
+                        delete item.isNew;
+                        cursor.update(item);
+                        cleared++;
+                    }
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => {
+                this._invalidateCache();
+                resolve(cleared);
+            };
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
 }
 
 // Export Flags Constants
@@ -1102,5 +1575,36 @@ StorageUtils.ExportFlags = {
 // Helper for "All Export Modes" (excluding VIEWED)
 StorageUtils.ExportFlags.ALL_EXPORT = StorageUtils.ExportFlags.URLS | StorageUtils.ExportFlags.USERS | StorageUtils.ExportFlags.THUMBNAILS | StorageUtils.ExportFlags.CSV | StorageUtils.ExportFlags.DB;
 
+// Media fields refreshed on re-scrape even when the record is otherwise preserved
+StorageUtils.MEDIA_DETAIL_FIELDS = ["description", "hashtags", "mentions", "authorName", "images", "viewCount", "likeCount", "commentCount", "shareCount"];
+
+// Media list fields that accumulate across scrapes instead of being replaced
+StorageUtils.MEDIA_LIST_FIELDS = ["sources", "likedBy", "favoritedBy", "repostedBy"];
+
+// Engagement counters on a media record -> key used in metricsHistory samples
+StorageUtils.METRIC_FIELDS = {
+    viewCount: "views",
+    likeCount: "likes",
+    commentCount: "comments",
+    shareCount: "shares",
+};
+StorageUtils.METRICS_SAMPLE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Creator profile fields overwritten by each scrape that saw them
+StorageUtils.USER_DETAIL_FIELDS = ["displayName", "bio", "avatarUrl", "verified", "followerCount", "followingCount", "likeCount", "videoCount"];
+
+// Creator counters -> key used in followerHistory samples
+StorageUtils.USER_COUNT_FIELDS = {
+    followerCount: "followers",
+    followingCount: "following",
+    likeCount: "likes",
+    videoCount: "videos",
+};
+
+/**
+ * Key of a creator in the users store, e.g. "tiktok:someuser"
+ */
+StorageUtils.getUserKey = (platform, userId) => `${String(platform).toLowerCase()}:${userId}`;
+
 // Global instance for Contexts (Window or Service Worker)
 (typeof self !== "undefined" ? self : window).socialDB = new StorageUtils();